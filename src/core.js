@@ -0,0 +1,413 @@
+/**
+ * NativeScrollSlider core
+ *
+ * The slider class without the optional features that are plugins: autoplay,
+ * lazy loading, mouse dragging and wheel handling. Register the ones you use
+ * with NativeScrollSliderCore.use() or options.plugins.
+ *
+ * @license MIT
+ * @see https://github.com/jomurgel/native-scroll-slider
+ */
+
+import { buildConfig } from './helpers/config.js';
+import {
+  findContainer,
+  findNavButton,
+  captureOriginalState,
+  restoreOriginalState,
+  removeListeners
+} from './helpers/dom.js';
+import { schedule, clearScheduled } from './helpers/utils.js';
+import * as events from './modules/events.js';
+import * as navigation from './modules/navigation.js';
+import { buildLabels, setupAccessibility, removeLiveRegion } from './modules/accessibility.js';
+import { setupDots, removeDots } from './modules/dots.js';
+import { setupKeyboard } from './modules/keyboard.js';
+import { removeClones } from './modules/clones.js';
+import { getVirtualItems, setupVirtual, removeVirtualSlides } from './modules/virtual.js';
+import { isDevelopment, validateConfig } from './helpers/schema.js';
+import { resolvePlugins, resolveSchema, runHook } from './modules/plugins.js';
+import { autoInit, getInstance, setInstance, removeInstance } from './modules/auto-init.js';
+import { setupResponsive } from './modules/responsive.js';
+import { setupScrollListener, updateCurrentSlideFromScroll } from './modules/scroll.js';
+import * as slides from './modules/slides.js';
+import {
+  setupTrackStyles,
+  setupSlides,
+  updateSlidePositions,
+  setupResizeObserver,
+  cancelLayout,
+  handleResize,
+  setOptions
+} from './modules/layout.js';
+
+class NativeScrollSliderCore {
+
+  /**
+     * Initialize the slider.
+     *
+     * @constructor
+     * @param {HTMLElement} trackElement - The track element containing the slides.
+     * @param {Object} options - The options for the slider.
+     * @returns {void}
+     */
+  constructor(trackElement, options = {}) {
+    // Safety checks
+    if (!trackElement) {
+      console.error('NativeScrollSlider: trackElement is null or undefined');
+      return;
+    }
+
+    // A track gets one slider: one created earlier, e.g. by autoInit(), is replaced
+    const existing = getInstance(trackElement);
+    if (existing) {
+      existing.destroy();
+    }
+
+    this.track = trackElement;
+
+    // Find container - look up the DOM tree for a container with data-slider-config or use parent
+    this.container = findContainer(trackElement);
+
+    // Event handlers registered through on/once, keyed by event name
+    this.eventHandlers = {};
+
+    this.setup(options);
+  }
+
+  /**
+   * Build the configuration and state, then initialize the slider.
+   *
+   * @param {Object} options - The options for the slider.
+   * @returns {void}
+   */
+  setup(options) {
+    this.passedOptions = options;
+
+    // Merge options: defaults < data-slider-config < passed options
+    this.options = buildConfig(this.container, options);
+
+    // Virtual sliders render their slides from items, the others use the track's children
+    this.virtualItems = this.options.virtual ? getVirtualItems(this.options.virtual) : null;
+    this.slides = this.virtualItems ? [] : Array.from(this.track.children);
+    this.totalSlides = this.virtualItems ? this.virtualItems.length : this.slides.length;
+
+    if (this.totalSlides === 0) {
+      console.error('NativeScrollSlider: no slides found in track', this.track);
+      return;
+    }
+
+    // Find navigation buttons
+    this.prevBtn = findNavButton(this.options.prevElement, this.container, this.track);
+    this.nextBtn = findNavButton(this.options.nextElement, this.container, this.track);
+
+    this.currentSlide = 0;
+    this.slidePositions = [];
+    this.isRtl = false;
+    this.inlineDirection = null;
+    this.allSlides = null;
+    this.initialCloneCount = 0;
+    this.infiniteScrollSetup = false;
+    this.recycleSpacers = null;
+    this.isScrolling = false;
+    this.scrollTimeout = null;
+    this.infiniteScrollTimeout = null;
+    this.virtualStart = 0;
+    this.virtualSpacers = null;
+    this.virtualChildren = [];
+    this.isInitialized = false;
+    this.changeFromSlide = null;
+    this.targetSlide = null;
+
+    this.focusActiveSlideOnSettle = false;
+    this.isAutoplayChange = false;
+    this.liveRegion = null;
+    this.labels = buildLabels(this.options.labels);
+    this.dotsContainer = null;
+    this.dotsCreated = false;
+    this.dotButtons = [];
+
+    this.layoutFrame = null;
+    this.layoutSize = null;
+    this.resizeObserver = null;
+    this.slideObserver = null;
+
+    // Pending timeouts, attached listeners and observers, released in destroy()
+    this.timeouts = [];
+    this.listeners = [];
+    this.observers = [];
+
+    // Plugins registered with use() run before the ones passed in options
+    this.plugins = resolvePlugins(this.constructor.plugins, this.options.plugins);
+
+    // Dropped from production builds
+    if (isDevelopment()) {
+      validateConfig(this.options, this.totalSlides, resolveSchema(this.plugins));
+    }
+
+    // Snapshot the DOM before init writes to it so destroy() can restore it
+    this.originalState = captureOriginalState(this);
+
+    // Lets getInstance() find the slider and autoInit() skip its container
+    setInstance(this);
+
+    this.init();
+  }
+
+  /**
+     * Initialize the slider.
+     *
+     * @returns {void}
+     */
+  init() {
+    runHook(this, 'beforeInit');
+
+    // Setup responsive settings FIRST
+    setupResponsive(this);
+
+    // Now we can setup track styles with correct currentOptions
+    setupTrackStyles(this);
+    setupVirtual(this);
+
+    setupSlides(this);
+    updateSlidePositions(this);
+    navigation.setupNavigation(this);
+    setupDots(this);
+    setupKeyboard(this);
+    setupAccessibility(this);
+    setupScrollListener(this);
+    setupResizeObserver(this);
+    slides.setupSlideObserver(this);
+
+    runHook(this, 'afterLayout', { initial: true });
+
+    const self = this;
+    this.container.classList.add('slider-ready');
+
+    schedule(this, () => {
+      navigation.goToSlide(self, self.currentOptions.startSlide);
+      self.isInitialized = true;
+      self.emit('init');
+    }, 50);
+
+    updateCurrentSlideFromScroll(this);
+  }
+
+  /**
+   * Register a plugin for every slider created afterwards.
+   *
+   * @param {Object} plugin - The plugin, with any of the lifecycle hooks.
+   * @returns {NativeScrollSliderCore}
+   */
+  static use(plugin) {
+    if (this.plugins.indexOf(plugin) === -1) {
+      this.plugins.push(plugin);
+    }
+
+    return this;
+  }
+
+  /**
+   * Create a slider for every `[data-slider-config]` container in root that
+   * doesn't have one yet, and for containers inserted into root later.
+   *
+   * @param {Document|HTMLElement} [root] - The element to search.
+   * @returns {NativeScrollSliderCore[]} - The sliders created.
+   */
+  static autoInit(root = document) {
+    return autoInit(this, root);
+  }
+
+  /**
+   * Get the slider created for a container or track element.
+   *
+   * @param {HTMLElement} element - The container or track element.
+   * @returns {NativeScrollSliderCore|null}
+   */
+  static getInstance(element) {
+    return getInstance(element);
+  }
+
+  /**
+   * Register an event handler.
+   *
+   * @param {string} eventName - The event name, e.g. 'afterChange'.
+   * @param {Function} handler - Called with the event payload.
+   * @returns {NativeScrollSliderCore}
+   */
+  on(eventName, handler) {
+    events.on(this, eventName, handler);
+    return this;
+  }
+
+  /**
+   * Remove an event handler. Without a handler, removes all handlers for the event.
+   *
+   * @param {string} eventName - The event name.
+   * @param {Function} [handler] - The handler to remove.
+   * @returns {NativeScrollSliderCore}
+   */
+  off(eventName, handler) {
+    events.off(this, eventName, handler);
+    return this;
+  }
+
+  /**
+   * Register an event handler that is removed after its first call.
+   *
+   * @param {string} eventName - The event name.
+   * @param {Function} handler - Called with the event payload.
+   * @returns {NativeScrollSliderCore}
+   */
+  once(eventName, handler) {
+    events.once(this, eventName, handler);
+    return this;
+  }
+
+  /**
+   * Call registered handlers and dispatch a bubbling `slider:<eventName>`
+   * CustomEvent on the container.
+   *
+   * @param {string} eventName - The event name.
+   * @param {Object} detail - The event payload.
+   * @returns {void}
+   */
+  emit(eventName, detail = {}) {
+    events.emit(this, eventName, detail);
+  }
+
+  /**
+   * Go to the next slide(s).
+   *
+   * @returns {void}
+   */
+  next() {
+    navigation.next(this);
+  }
+
+  /**
+   * Go to the previous slide(s).
+   *
+   * @returns {void}
+   */
+  prev() {
+    navigation.prev(this);
+  }
+
+  /**
+   * Go to the slide.
+   *
+   * @param {number} slideIndex - The index of the slide to go to.
+   * @returns {void}
+   */
+  goToSlide(slideIndex) {
+    navigation.goToSlide(this, slideIndex);
+  }
+
+  /**
+   * Insert a slide, staying on the current slide.
+   *
+   * @param {HTMLElement|string} slide - The slide element or its HTML.
+   * @param {number} [index] - The index the slide will have. Defaults to the end.
+   * @returns {void}
+   */
+  addSlide(slide, index) {
+    slides.addSlide(this, slide, index);
+  }
+
+  /**
+   * Remove a slide, staying on the current slide if it remains.
+   *
+   * @param {number} index - The index of the slide to remove.
+   * @returns {void}
+   */
+  removeSlide(index) {
+    slides.removeSlide(this, index);
+  }
+
+  /**
+   * Replace every slide, keeping the current index where it still exists.
+   *
+   * @param {Array<HTMLElement|string>} list - The new slide elements or their HTML.
+   * @returns {void}
+   */
+  replaceSlides(list) {
+    slides.replaceSlides(this, list);
+  }
+
+  /**
+     * Handle the resize.
+     *
+     * @returns {void}
+     */
+  handleResize() {
+    handleResize(this);
+  }
+
+  /**
+   * Change options without re-creating the slider. The slider is laid out
+   * again and stays on the current slide.
+   *
+   * @param {Object} options - The options to change.
+   * @returns {void}
+   */
+  setOptions(options) {
+    setOptions(this, options);
+  }
+
+  /**
+   * Tear down the slider, removing listeners, timers and clones and restoring
+   * the original DOM.
+   *
+   * @returns {void}
+   */
+  destroy() {
+    if (!this.originalState) return;
+
+    this.emit('destroy');
+    this.eventHandlers = {};
+
+    runHook(this, 'onDestroy');
+    this.observers.forEach((observer) => observer.disconnect());
+    this.observers = [];
+    this.resizeObserver = null;
+    this.slideObserver = null;
+    cancelLayout(this);
+    clearTimeout(this.scrollTimeout);
+    clearTimeout(this.infiniteScrollTimeout);
+    clearScheduled(this);
+    removeListeners(this);
+
+    removeDots(this);
+    removeLiveRegion(this);
+    removeClones(this);
+    removeVirtualSlides(this);
+    restoreOriginalState(this);
+    removeInstance(this);
+
+    this.slidePositions = [];
+    this.isInitialized = false;
+  }
+
+  /**
+   * Destroy the slider and build it again from the original DOM.
+   *
+   * @param {Object} [options] - Options merged over the options passed previously.
+   * @returns {void}
+   */
+  reinit(options = {}) {
+    const eventHandlers = this.eventHandlers;
+    const mergedOptions = Object.assign({}, this.passedOptions, options);
+
+    this.destroy();
+
+    // Keep subscriptions across the rebuild
+    this.eventHandlers = eventHandlers;
+    this.setup(mergedOptions);
+  }
+}
+
+// Plugins applied to every slider created with this class
+NativeScrollSliderCore.plugins = [];
+
+export default NativeScrollSliderCore;
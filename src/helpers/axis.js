@@ -0,0 +1,291 @@
+/**
+ * Scroll axis helpers for NativeScrollSlider
+ *
+ * Maps each orientation to the DOM properties it reads and writes, so the
+ * same scroll logic drives horizontal, right-to-left and vertical sliders.
+ * Scroll positions are logical: measured from the start edge of the track,
+ * whichever way the browser reports scrollLeft in right-to-left content.
+ *
+ * @module helpers/axis
+ */
+
+/**
+ * Properties for sliders scrolling along the X axis
+ */
+export const HORIZONTAL_AXIS = {
+  vertical: false,
+  rtl: false,
+  scroll: 'scrollLeft',
+  scrollSize: 'scrollWidth',
+  clientSize: 'clientWidth',
+  offset: 'offsetLeft',
+  size: 'offsetWidth',
+  start: 'left',
+  paddingStart: 'paddingLeft',
+  paddingEnd: 'paddingRight',
+  dimension: 'width',
+  prevKey: 'ArrowLeft',
+  nextKey: 'ArrowRight'
+};
+
+/**
+ * Properties for sliders scrolling along the Y axis
+ */
+export const VERTICAL_AXIS = {
+  vertical: true,
+  rtl: false,
+  scroll: 'scrollTop',
+  scrollSize: 'scrollHeight',
+  clientSize: 'clientHeight',
+  offset: 'offsetTop',
+  size: 'offsetHeight',
+  start: 'top',
+  paddingStart: 'paddingTop',
+  paddingEnd: 'paddingBottom',
+  dimension: 'height',
+  prevKey: 'ArrowUp',
+  nextKey: 'ArrowDown'
+};
+
+/**
+ * Properties for horizontal sliders in right-to-left content, where the
+ * track starts on the right
+ */
+export const RTL_AXIS = Object.assign({}, HORIZONTAL_AXIS, {
+  rtl: true,
+  paddingStart: 'paddingRight',
+  paddingEnd: 'paddingLeft',
+  prevKey: 'ArrowRight',
+  nextKey: 'ArrowLeft'
+});
+
+// How the browser reports scrollLeft in right-to-left content, detected once
+let rtlScrollType = null;
+
+/**
+ * Get the axis of a slider
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {Object} - HORIZONTAL_AXIS, RTL_AXIS or VERTICAL_AXIS
+ */
+export function getAxis(context) {
+  const options = context.currentOptions;
+
+  if (options && options.orientation === 'vertical') {
+    return VERTICAL_AXIS;
+  }
+
+  return context.isRtl ? RTL_AXIS : HORIZONTAL_AXIS;
+}
+
+/**
+ * Resolve whether a slider runs right-to-left: the rtl option if set,
+ * otherwise the track's computed direction
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+export function resolveRtl(context) {
+  const { rtl } = context.currentOptions;
+
+  if (typeof rtl === 'boolean') return rtl;
+
+  return window.getComputedStyle(context.track).direction === 'rtl';
+}
+
+/**
+ * Detect how the browser reports scrollLeft for right-to-left content:
+ * 'negative' (the standard, 0 at the start and negative towards the end),
+ * 'default' (0 at the end) or 'reverse' (0 at the start and positive)
+ *
+ * @returns {string} - The scroll type
+ */
+export function getRtlScrollType() {
+  if (rtlScrollType) return rtlScrollType;
+
+  const outer = document.createElement('div');
+  const inner = document.createElement('div');
+
+  outer.dir = 'rtl';
+  Object.assign(outer.style, {
+    position: 'absolute',
+    top: '-1000px',
+    width: '4px',
+    height: '1px',
+    overflow: 'scroll',
+    visibility: 'hidden'
+  });
+  inner.style.width = '8px';
+  inner.style.height = '1px';
+  outer.appendChild(inner);
+  document.body.appendChild(outer);
+
+  if (outer.scrollLeft > 0) {
+    rtlScrollType = 'default';
+  } else {
+    outer.scrollLeft = 1;
+    rtlScrollType = outer.scrollLeft === 0 ? 'negative' : 'reverse';
+  }
+
+  outer.remove();
+
+  return rtlScrollType;
+}
+
+/**
+ * Get the logical scroll position of the track
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Pixels scrolled from the start edge
+ */
+export function getScrollPosition(context) {
+  const { track } = context;
+  const axis = getAxis(context);
+
+  if (!axis.rtl) return track[axis.scroll];
+
+  switch (getRtlScrollType()) {
+  case 'default':
+    return track.scrollWidth - track.clientWidth - track.scrollLeft;
+  case 'reverse':
+    return track.scrollLeft;
+  default:
+    return -track.scrollLeft;
+  }
+}
+
+/**
+ * Convert a logical scroll position to the track's scrollLeft or scrollTop
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} position - Pixels from the start edge
+ * @returns {number} - The value to scroll to
+ */
+export function toScrollValue(context, position) {
+  const { track } = context;
+
+  if (!getAxis(context).rtl) return position;
+
+  switch (getRtlScrollType()) {
+  case 'default':
+    return track.scrollWidth - track.clientWidth - position;
+  case 'reverse':
+    return position;
+  default:
+    return -position;
+  }
+}
+
+/**
+ * Jump the track to a logical scroll position
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} position - Pixels from the start edge
+ * @returns {void}
+ */
+export function setScrollPosition(context, position) {
+  context.track[getAxis(context).scroll] = toScrollValue(context, position);
+}
+
+/**
+ * Smoothly scroll the track to a logical scroll position
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} position - Pixels from the start edge
+ * @returns {void}
+ */
+export function scrollToPosition(context, position) {
+  context.track.scrollTo({
+    [getAxis(context).start]: toScrollValue(context, position),
+    behavior: 'smooth'
+  });
+}
+
+/**
+ * Get the offset of a slide from the start edge of the track, like
+ * offsetLeft or offsetTop but mirrored for right-to-left sliders
+ *
+ * @param {Object} context - Slider instance context
+ * @param {HTMLElement} slide - The slide element
+ * @returns {number} - Offset in pixels
+ */
+export function getSlideOffset(context, slide) {
+  const axis = getAxis(context);
+
+  if (!axis.rtl) return slide[axis.offset];
+
+  const { track } = context;
+  const first = track.firstElementChild;
+  const paddingStart = parseFloat(window.getComputedStyle(track).paddingRight) || 0;
+
+  return (first.offsetLeft + first.offsetWidth) - (slide.offsetLeft + slide.offsetWidth) + paddingStart;
+}
+
+/**
+ * Get the element whose size along the axis is the visible area. Horizontal
+ * sliders measure the container; vertical ones measure the track, which is
+ * sized to fit slidesToShow slides
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {HTMLElement} - The container or track element
+ */
+export function getViewportElement(context) {
+  return getAxis(context).vertical ? context.track : context.container;
+}
+
+/**
+ * Get the size of an element along the axis, less its padding
+ *
+ * @param {HTMLElement} element - The element
+ * @param {Object} axis - HORIZONTAL_AXIS or VERTICAL_AXIS
+ * @returns {Object} - size, paddingStart and paddingEnd in pixels
+ */
+export function getInnerSize(element, axis) {
+  const styles = window.getComputedStyle(element);
+  const paddingStart = parseFloat(styles[axis.paddingStart]) || 0;
+  const paddingEnd = parseFloat(styles[axis.paddingEnd]) || 0;
+
+  return {
+    size: element[axis.size] - paddingStart - paddingEnd,
+    paddingStart: paddingStart,
+    paddingEnd: paddingEnd
+  };
+}
+
+/**
+ * Find the rendered slide, including clones, closest to a scroll position. In
+ * center mode that is the slide whose middle is closest to the middle of the view
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} [position] - Logical scroll position, defaults to the current one
+ * @returns {number} - Index within allSlides, or slides when there are no clones
+ */
+export function getSlideIndexAtPosition(context, position = getScrollPosition(context)) {
+  const { track, slides, slidePositions, currentOptions } = context;
+  const axis = getAxis(context);
+  let point = position;
+  let slideOffset = 0;
+
+  if (currentOptions.centerMode) {
+    // Infinite sliders center within the track, the others within the viewport
+    const viewport = currentOptions.infinite
+      ? { size: getInnerSize(track, axis).size, paddingStart: 0 }
+      : getInnerSize(getViewportElement(context), axis);
+
+    point = position + (viewport.size / 2) + viewport.paddingStart;
+    slideOffset = slides[0][axis.size] / 2;
+  }
+
+  let closestSlide = 0;
+  let closestDistance = Infinity;
+
+  for (let i = 0; i < slidePositions.length; i++) {
+    const distance = Math.abs(point - (slidePositions[i] + slideOffset));
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      closestSlide = i;
+    }
+  }
+
+  return closestSlide;
+}
@@ -4,19 +4,34 @@
  * @module helpers/config
  */
 
+import { coerceConfig } from './schema.js';
+
 /**
  * Default slider configuration
  */
 export const DEFAULT_CONFIG = {
+  orientation: 'horizontal',
+  rtl: null,
   slidesToShow: 4,
   slidesToScroll: 1,
   infinite: false,
+  loopStrategy: 'clone',
   bounceBack: false,
   centerMode: false,
+  snap: 'none',
+  draggable: false,
+  wheel: 'native',
+  lazyLoad: false,
+  lazyLoadRange: 1,
+  virtual: null,
   autoplay: false,
   autoplaySpeed: 3000,
+  autoplayDirection: 'ltr',
+  autoplayButton: false,
   gap: 24,
   startSlide: 0,
+  breakpointBase: 'window',
+  responsiveMerge: 'replace',
   // @see https://dev.to/gerryleonugroho/responsive-design-breakpoints-2025-playbook-53ih
   responsive: [
     {
@@ -50,7 +65,14 @@ export const DEFAULT_CONFIG = {
   showOverflow: false,
   overflowAmount: 0.5,
   containerMaxWidth: 1200,
-  basePadding: 35
+  basePadding: 35,
+  dots: false,
+  customPaging: null,
+  keyboard: false,
+  accessibility: true,
+  labels: {},
+  observeSlides: false,
+  plugins: []
 };
 
 /**
@@ -61,41 +83,213 @@ export const DEFAULT_CONFIG = {
  * @returns {Object} - Merged configuration
  */
 export function buildConfig(container, passedOptions = {}) {
-  // Try to get config from data attribute
-  let dataConfig = {};
-  if (container && container.dataset.sliderConfig) {
-    try {
-      dataConfig = JSON.parse(container.dataset.sliderConfig);
-    } catch (e) {
-      console.warn('NativeScrollSlider: Invalid JSON in data-slider-config', e);
+  const dataConfig = container ? readDataConfig(container) : {};
+
+  // Merge: defaults < dataConfig < passedOptions
+  return mergeConfig([DEFAULT_CONFIG, dataConfig, passedOptions]);
+}
+
+/**
+ * Read the configuration declared in a container's markup: the
+ * data-slider-config attribute, JSON script blocks that are direct children
+ * and data-slider-config-<breakpoint> attributes, in that order
+ *
+ * @param {HTMLElement} container - Container element
+ * @returns {Object} - Configuration with string values coerced
+ */
+export function readDataConfig(container) {
+  const layers = [];
+
+  if (container.dataset.sliderConfig) {
+    layers.push(parseConfig(container.dataset.sliderConfig, 'data-slider-config'));
+  }
+
+  Array.from(container.children).forEach((child) => {
+    if (child.tagName === 'SCRIPT' && child.type === 'application/json') {
+      layers.push(parseConfig(child.textContent, 'slider config script'));
+    }
+  });
+
+  let config = mergeConfig(layers);
+
+  // Per-breakpoint attributes always merge into their breakpoint
+  const overrides = [];
+  Array.from(container.attributes).forEach((attribute) => {
+    const match = /^data-slider-config-(\d+)$/.exec(attribute.name);
+    if (match) {
+      overrides.push({
+        breakpoint: Number(match[1]),
+        settings: parseConfig(attribute.value, attribute.name)
+      });
     }
+  });
+
+  if (overrides.length) {
+    config = Object.assign({}, config, {
+      responsive: mergeBreakpoints(config.responsive || DEFAULT_CONFIG.responsive, overrides)
+    });
   }
 
-  // Merge: defaults < dataConfig < passedOptions
-  return Object.assign({}, DEFAULT_CONFIG, dataConfig, passedOptions);
+  return config;
+}
+
+/**
+ * Parse a JSON configuration from markup
+ *
+ * @param {string} json - The JSON
+ * @param {string} source - Where the JSON came from, for the warning
+ * @returns {Object} - Configuration with string values coerced, empty if invalid
+ */
+export function parseConfig(json, source) {
+  try {
+    return coerceConfig(JSON.parse(json) || {});
+  } catch (e) {
+    console.warn('NativeScrollSlider: Invalid JSON in ' + source, e);
+    return {};
+  }
 }
 
 /**
- * Setup responsive settings based on viewport width
+ * Merge configurations, later ones taking precedence. With `responsiveMerge: 'merge'`
+ * their responsive breakpoints are merged instead of replaced
+ *
+ * @param {Array} configs - Configurations, lowest precedence first
+ * @param {string} [strategy] - 'replace' or 'merge', defaults to the merged responsiveMerge
+ * @returns {Object} - Merged configuration
+ */
+export function mergeConfig(configs, strategy) {
+  const merged = Object.assign({}, ...configs);
+
+  if ((strategy || merged.responsiveMerge) === 'merge') {
+    merged.responsive = configs.reduce((responsive, config) => (
+      Array.isArray(config.responsive) ? mergeBreakpoints(responsive, config.responsive) : responsive
+    ), []);
+  }
+
+  return merged;
+}
+
+/**
+ * Merge breakpoints that cover the same width range, adding the others
+ *
+ * @param {Array} base - Responsive breakpoints
+ * @param {Array} overrides - Breakpoints to merge in
+ * @returns {Array} - Merged breakpoints
+ */
+export function mergeBreakpoints(base, overrides) {
+  const copy = (breakpoint) => Object.assign({}, breakpoint, { settings: Object.assign({}, breakpoint.settings) });
+  const merged = base.filter(isBreakpointObject).map(copy);
+
+  overrides.filter(isBreakpointObject).forEach((override) => {
+    const key = getBreakpointKey(override);
+    const existing = merged.find((breakpoint) => getBreakpointKey(breakpoint) === key);
+
+    if (existing) {
+      Object.assign(existing.settings, override.settings);
+    } else {
+      merged.push(copy(override));
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Check for a breakpoint object; anything else is left to validation to report
+ *
+ * @param {*} breakpoint - Responsive breakpoint
+ * @returns {boolean}
+ */
+function isBreakpointObject(breakpoint) {
+  return !!breakpoint && typeof breakpoint === 'object';
+}
+
+/**
+ * Identify the width range of a breakpoint. `breakpoint` is an alias of `maxWidth`.
+ *
+ * @param {Object} breakpoint - Responsive breakpoint
+ * @returns {string} - Key shared by breakpoints with the same range
+ */
+export function getBreakpointKey(breakpoint) {
+  const maxWidth = breakpoint.maxWidth !== undefined ? breakpoint.maxWidth : breakpoint.breakpoint;
+
+  return [breakpoint.minWidth, maxWidth].join('-');
+}
+
+/**
+ * Order breakpoints so more specific ones are applied last: desktop-first
+ * (breakpoint/maxWidth) largest to smallest, then mobile-first (minWidth only)
+ * smallest to largest.
+ *
+ * @param {Array} breakpoints - Responsive breakpoints
+ * @returns {Array} - Sorted breakpoints
+ */
+export function sortBreakpoints(breakpoints) {
+  const maxWidth = (breakpoint) => (breakpoint.maxWidth !== undefined ? breakpoint.maxWidth : breakpoint.breakpoint);
+
+  const desktopFirst = breakpoints
+    .filter((breakpoint) => maxWidth(breakpoint) !== undefined)
+    .sort((a, b) => maxWidth(b) - maxWidth(a));
+  const mobileFirst = breakpoints
+    .filter((breakpoint) => maxWidth(breakpoint) === undefined && breakpoint.minWidth !== undefined)
+    .sort((a, b) => a.minWidth - b.minWidth);
+
+  return desktopFirst.concat(mobileFirst);
+}
+
+/**
+ * Check whether a breakpoint applies at a width. `breakpoint` is an alias of `maxWidth`.
+ *
+ * @param {Object} breakpoint - Responsive breakpoint
+ * @param {number} width - Width to match
+ * @returns {boolean} - Whether the breakpoint matches
+ */
+export function matchesBreakpoint(breakpoint, width) {
+  const maxWidth = breakpoint.maxWidth !== undefined ? breakpoint.maxWidth : breakpoint.breakpoint;
+
+  if (maxWidth !== undefined && width > maxWidth) return false;
+  if (breakpoint.minWidth !== undefined && width < breakpoint.minWidth) return false;
+
+  return true;
+}
+
+/**
+ * Resolve the options for a breakpoint width
  *
  * @param {Object} options - Base configuration options
- * @returns {Object} - Options with responsive settings applied
+ * @param {number} width - Width to match breakpoints against
+ * @returns {Object} - The merged options, the most specific matching breakpoint
+ *   (or null) and a key identifying the set of matching breakpoints
  */
-export function applyResponsiveSettings(options) {
-  const width = window.innerWidth;
+export function resolveResponsiveSettings(options, width) {
   let currentOptions = Object.assign({}, options);
+  const matched = [];
 
-  // Sort responsive breakpoints in descending order (largest first)
-  const sortedBreakpoints = [...options.responsive].sort((a, b) => b.breakpoint - a.breakpoint);
-
-  // Apply settings from all matching breakpoints in cascade (largest to smallest)
+  // Apply settings from all matching breakpoints in cascade (least to most specific)
+  const sortedBreakpoints = sortBreakpoints(options.responsive);
   for (let i = 0; i < sortedBreakpoints.length; i++) {
     const breakpoint = sortedBreakpoints[i];
-    if (width <= breakpoint.breakpoint) {
+    if (matchesBreakpoint(breakpoint, width)) {
       // Apply this breakpoint's settings on top of previous settings
       currentOptions = Object.assign(currentOptions, breakpoint.settings);
+      matched.push(breakpoint);
     }
   }
 
-  return currentOptions;
+  return {
+    options: currentOptions,
+    breakpoint: matched.length ? matched[matched.length - 1] : null,
+    key: matched.map((breakpoint) => options.responsive.indexOf(breakpoint)).join(',')
+  };
+}
+
+/**
+ * Setup responsive settings based on the viewport or container width
+ *
+ * @param {Object} options - Base configuration options
+ * @param {number} [width] - Width to match breakpoints against, defaults to the viewport width
+ * @returns {Object} - Options with responsive settings applied
+ */
+export function applyResponsiveSettings(options, width = window.innerWidth) {
+  return resolveResponsiveSettings(options, width).options;
 }
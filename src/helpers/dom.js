@@ -64,25 +64,45 @@ export function findNavButton(selector, container, track) {
  * Calculate slide positions
  *
  * @param {Array} slides - Array of slide elements
- * @param {number} leftPadding - Left padding of the track
+ * @param {number} leftPadding - Start padding of the track
+ * @param {string} [offsetProperty] - 'offsetLeft', or 'offsetTop' for vertical sliders
  * @returns {Array<number>} - Array of slide positions
  */
-export function calculateSlidePositions(slides, leftPadding) {
+export function calculateSlidePositions(slides, leftPadding, offsetProperty = 'offsetLeft') {
   const positions = [];
 
   for (let i = 0; i < slides.length; i++) {
-    positions.push(slides[i].offsetLeft - leftPadding);
+    positions.push(slides[i][offsetProperty] - leftPadding);
   }
 
   return positions;
 }
 
 /**
- * Create cloned slides for infinite or bounce modes
+ * Keep a cloned slide and its focusable content out of the tab order
+ *
+ * @param {HTMLElement} clone - The cloned slide
+ * @returns {void}
+ */
+export function prepareClone(clone) {
+  // Hidden from assistive technology but not inert, so visible clones stay clickable
+  clone.setAttribute('aria-hidden', 'true');
+  clone.setAttribute('tabindex', '-1');
+
+  const focusable = clone.querySelectorAll('a[href], area[href], button, input, select, textarea, iframe, [tabindex], [contenteditable="true"]');
+  for (let i = 0; i < focusable.length; i++) {
+    focusable[i].setAttribute('tabindex', '-1');
+  }
+}
+
+/**
+ * Create cloned slides for infinite or bounce modes. Both sides are cloned in
+ * loop order, so the clones before the first slide end with the last slide and
+ * the clones after the last slide start with the first slide.
  *
  * @param {Array} slides - Original slides array
  * @param {HTMLElement} track - Track element
- * @param {number} cloneCount - Number of slides to clone
+ * @param {number} cloneCount - Number of slides to clone on each side
  * @param {string} mode - 'infinite' or 'bounce'
  * @returns {Array} - All slides including clones
  */
@@ -90,43 +110,78 @@ export function createClonedSlides(slides, track, cloneCount, mode = 'infinite')
   const totalSlides = slides.length;
   const cloneClass = mode === 'infinite' ? 'infinite-clone' : 'bounce-clone';
 
-  if (mode === 'infinite') {
-    // Clone slides to end
-    for (let i = 0; i < cloneCount; i++) {
-      const originalIndex = i % totalSlides;
-      const clone = slides[originalIndex].cloneNode(true);
-      clone.classList.add('cloned', cloneClass);
-      clone.dataset.originalIndex = originalIndex;
-      track.appendChild(clone);
-    }
+  const createClone = (originalIndex) => {
+    const clone = slides[originalIndex].cloneNode(true);
+    clone.classList.add('cloned', cloneClass);
+    clone.dataset.originalIndex = originalIndex;
+    prepareClone(clone);
+    return clone;
+  };
 
-    // Clone slides to beginning
-    for (let i = 0; i < cloneCount; i++) {
-      const originalIndex = (totalSlides - cloneCount + i) % totalSlides;
-      const clone = slides[originalIndex].cloneNode(true);
-      clone.classList.add('cloned', cloneClass);
-      clone.dataset.originalIndex = originalIndex;
-      track.insertBefore(clone, track.firstChild);
-    }
-  } else {
-    // Bounce mode: clone to end
-    for (let i = 0; i < cloneCount; i++) {
-      const clone = slides[i].cloneNode(true);
-      clone.classList.add('cloned', cloneClass);
-      track.appendChild(clone);
-    }
+  const firstSlide = slides[0];
 
-    // Clone to beginning
-    for (let i = totalSlides - cloneCount; i < totalSlides; i++) {
-      const clone = slides[i].cloneNode(true);
-      clone.classList.add('cloned', cloneClass);
-      track.insertBefore(clone, track.firstChild);
-    }
+  for (let i = 0; i < cloneCount; i++) {
+    // Clone slides to end: first, second, ...
+    track.appendChild(createClone(i % totalSlides));
+
+    // Clone slides to beginning: ..., second to last, last
+    const originalIndex = ((i - cloneCount) % totalSlides + totalSlides) % totalSlides;
+    track.insertBefore(createClone(originalIndex), firstSlide);
   }
 
   return Array.from(track.children);
 }
 
+/**
+ * Create a spacer standing in for slides that aren't in the track
+ *
+ * @returns {HTMLElement} - The spacer element, hidden until sized
+ */
+export function createSpacer() {
+  const spacer = document.createElement('div');
+
+  spacer.className = 'slider-spacer';
+  spacer.setAttribute('aria-hidden', 'true');
+  spacer.style.flexShrink = '0';
+  spacer.style.display = 'none';
+
+  return spacer;
+}
+
+/**
+ * Size a spacer along the slider's axis, hiding it when it has no size so it
+ * doesn't add a gap of its own
+ *
+ * @param {HTMLElement} spacer - The spacer element
+ * @param {number} size - Size in pixels
+ * @param {string} dimension - 'width', or 'height' for vertical sliders
+ * @returns {void}
+ */
+export function sizeSpacer(spacer, size, dimension) {
+  spacer.style.display = size > 0 ? '' : 'none';
+  spacer.style.width = '';
+  spacer.style.height = '';
+  spacer.style[dimension] = Math.max(0, size) + 'px';
+}
+
+/**
+ * Size the spacers either side of the slides in the track to stand in for a
+ * number of slides each
+ *
+ * @param {Array<HTMLElement>} spacers - The spacers before and after the slides
+ * @param {number} before - Slides the first spacer stands in for
+ * @param {number} after - Slides the second spacer stands in for
+ * @param {number} step - Distance between the starts of neighbouring slides
+ * @param {number} gap - Gap between slides in pixels
+ * @param {string} dimension - 'width', or 'height' for vertical sliders
+ * @returns {void}
+ */
+export function sizeSpacers(spacers, before, after, step, gap, dimension) {
+  // The track's gap also separates each spacer from its neighbouring slide
+  sizeSpacer(spacers[0], before * step - gap, dimension);
+  sizeSpacer(spacers[1], after * step - gap, dimension);
+}
+
 /**
  * Inject required CSS styles into the document
  *
@@ -141,6 +196,13 @@ export function injectStyles() {
       [data-slider-config] > *::-webkit-scrollbar {
         display: none;
       }
+      .slider-draggable {
+        cursor: grab;
+      }
+      .slider-draggable.grabbing {
+        cursor: grabbing;
+        user-select: none;
+      }
     `;
     document.head.appendChild(style);
   }
@@ -153,9 +215,116 @@ export function injectStyles() {
  * @param {string} cloneClass - Class name of clones to remove
  * @returns {void}
  */
-export function removeClonedSlides(track, cloneClass = '.infinite-clone') {
+export function removeClonedSlides(track, cloneClass = '.infinite-clone, .bounce-clone') {
   if (track) {
     const clones = track.querySelectorAll(cloneClass);
     clones.forEach(clone => clone.remove());
   }
 }
+
+/**
+ * Attach an event listener that is removed in destroy()
+ *
+ * @param {Object} context - Slider instance context
+ * @param {EventTarget} target - The element or window to listen on
+ * @param {string} type - The event type
+ * @param {Function} handler - The listener
+ * @param {Object} [options] - addEventListener options
+ * @returns {void}
+ */
+export function addListener(context, target, type, handler, options) {
+  target.addEventListener(type, handler, options);
+  context.listeners.push({ target, type, handler, options });
+}
+
+/**
+ * Remove every listener attached through addListener
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function removeListeners(context) {
+  context.listeners.forEach(({ target, type, handler, options }) => {
+    target.removeEventListener(type, handler, options);
+  });
+  context.listeners = [];
+}
+
+/**
+ * Capture the attributes of an element that the slider may change
+ *
+ * @param {HTMLElement} element - The element
+ * @returns {Object} - Snapshot entry for restoreOriginalState
+ */
+export function captureElementState(element) {
+  const attributeNames = [
+    'style', 'class', 'tabindex', 'id', 'role',
+    'aria-roledescription', 'aria-label', 'aria-controls', 'aria-disabled'
+  ];
+
+  return {
+    element: element,
+    attributes: attributeNames.map((name) => ({ name: name, value: element.getAttribute(name) }))
+  };
+}
+
+/**
+ * Restore the attributes captured by captureElementState
+ *
+ * @param {Object} entry - Snapshot entry from captureElementState
+ * @returns {void}
+ */
+export function restoreElementState(entry) {
+  entry.attributes.forEach(({ name, value }) => {
+    if (value === null) {
+      entry.element.removeAttribute(name);
+    } else {
+      entry.element.setAttribute(name, value);
+    }
+  });
+}
+
+/**
+ * Capture the attributes, button states and scroll position that init will change
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {Object} - Snapshot for restoreOriginalState
+ */
+export function captureOriginalState(context) {
+  const { container, track, prevBtn, nextBtn, slides } = context;
+
+  const buttons = [prevBtn, nextBtn]
+    .filter(Boolean)
+    .map((button) => ({ element: button, disabled: button.disabled }));
+
+  return {
+    elements: [container, track, prevBtn, nextBtn]
+      .filter(Boolean)
+      .concat(slides)
+      .map(captureElementState),
+    buttons: buttons,
+    scrollLeft: track.scrollLeft,
+    scrollTop: track.scrollTop
+  };
+}
+
+/**
+ * Restore the DOM captured by captureOriginalState
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function restoreOriginalState(context) {
+  const state = context.originalState;
+  if (!state) return;
+
+  state.elements.forEach(restoreElementState);
+
+  state.buttons.forEach((entry) => {
+    entry.element.disabled = entry.disabled;
+  });
+
+  context.track.scrollLeft = state.scrollLeft;
+  context.track.scrollTop = state.scrollTop;
+  context.originalState = null;
+}
@@ -0,0 +1,361 @@
+/**
+ * Configuration schema for NativeScrollSlider
+ *
+ * Coerces string values from data attributes and, in development builds,
+ * reports unknown keys, invalid values and conflicting options. Guard calls to
+ * validateConfig with isDevelopment(), which bundlers fold to a constant so
+ * they drop it from production builds.
+ *
+ * @module helpers/schema
+ */
+
+/**
+ * Accepted types and values for each option
+ */
+export const CONFIG_SCHEMA = {
+  orientation: { type: 'string', values: ['horizontal', 'vertical'] },
+  rtl: { type: 'boolean', nullable: true },
+  slidesToShow: { type: 'number', min: 1 },
+  slidesToScroll: { type: 'number', min: 1 },
+  infinite: { type: 'boolean' },
+  loopStrategy: { type: 'string', values: ['clone', 'recycle'] },
+  bounceBack: { type: 'boolean' },
+  centerMode: { type: 'boolean' },
+  snap: { type: 'string', values: ['none', 'start', 'center', 'proximity'] },
+  draggable: { type: 'boolean' },
+  wheel: { type: 'string', values: ['native', 'horizontal', 'page'] },
+  lazyLoad: { type: ['boolean', 'string'], values: ['ondemand', 'progressive', 'anticipated'] },
+  lazyLoadRange: { type: 'number', min: 0 },
+  virtual: { type: 'object', nullable: true },
+  autoplay: { type: 'boolean' },
+  autoplaySpeed: { type: 'number', min: 0 },
+  autoplayDirection: { type: 'string', values: ['ltr', 'rtl'] },
+  autoplayButton: { type: 'boolean' },
+  gap: { type: 'number', min: 0 },
+  startSlide: { type: 'number', min: 0 },
+  breakpointBase: { type: 'string', values: ['window', 'container'] },
+  responsiveMerge: { type: 'string', values: ['replace', 'merge'] },
+  responsive: { type: 'array' },
+  prevElement: { type: 'string', nullable: true },
+  nextElement: { type: 'string', nullable: true },
+  minSlideWidth: { type: ['number', 'string'] },
+  showOverflow: { type: 'boolean' },
+  overflowAmount: { type: 'number', min: 0, max: 1 },
+  containerMaxWidth: { type: 'number', min: 0 },
+  basePadding: { type: 'number', min: 0 },
+  dots: { type: ['boolean', 'string'] },
+  customPaging: { type: 'function', nullable: true },
+  keyboard: { type: 'boolean' },
+  accessibility: { type: 'boolean' },
+  labels: { type: 'object' },
+  observeSlides: { type: 'boolean' },
+  plugins: { type: 'array' }
+};
+
+/**
+ * Accepted types and values for each responsive breakpoint
+ */
+export const BREAKPOINT_SCHEMA = {
+  breakpoint: { type: 'number', min: 0 },
+  minWidth: { type: 'number', min: 0 },
+  maxWidth: { type: 'number', min: 0 },
+  settings: { type: 'object' }
+};
+
+// Options that only apply to the whole slider, not to a breakpoint
+const NON_RESPONSIVE_KEYS = ['rtl', 'virtual', 'responsive', 'responsiveMerge', 'breakpointBase', 'prevElement', 'nextElement', 'labels', 'plugins'];
+
+/**
+ * Get the types a schema rule accepts
+ *
+ * @param {Object} rule - Schema rule
+ * @returns {Array} - Type names
+ */
+function getTypes(rule) {
+  return Array.isArray(rule.type) ? rule.type : [rule.type];
+}
+
+/**
+ * Get the type name of a value, as used by the schema
+ *
+ * @param {*} value - The value
+ * @returns {string} - Type name
+ */
+function getType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+
+  return typeof value;
+}
+
+/**
+ * Convert a string from a data attribute to the type its rule expects
+ *
+ * @param {*} value - The value
+ * @param {Object} [rule] - Schema rule
+ * @returns {*} - The coerced value, or the value unchanged
+ */
+export function coerceValue(value, rule) {
+  if (typeof value !== 'string' || !rule) return value;
+
+  const types = getTypes(rule);
+  const trimmed = value.trim();
+
+  if (types.indexOf('string') !== -1 && (!rule.values || rule.values.indexOf(value) !== -1)) {
+    // Strings stay strings, except booleans for boolean|string options
+    if (types.indexOf('boolean') !== -1 && (trimmed === 'true' || trimmed === 'false')) {
+      return trimmed === 'true';
+    }
+    return value;
+  }
+
+  if (types.indexOf('boolean') !== -1 && (trimmed === 'true' || trimmed === 'false')) {
+    return trimmed === 'true';
+  }
+
+  if (types.indexOf('number') !== -1 && trimmed !== '' && !isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+
+  if (rule.nullable && trimmed === 'null') {
+    return null;
+  }
+
+  return value;
+}
+
+/**
+ * Coerce the string values of a configuration object, including its
+ * responsive breakpoints
+ *
+ * @param {Object} config - Configuration, e.g. parsed from data-slider-config
+ * @returns {Object} - A coerced copy
+ */
+export function coerceConfig(config) {
+  const coerced = {};
+
+  Object.keys(config).forEach((key) => {
+    coerced[key] = coerceValue(config[key], CONFIG_SCHEMA[key]);
+  });
+
+  if (Array.isArray(coerced.responsive)) {
+    coerced.responsive = coerced.responsive.map((breakpoint) => {
+      if (!breakpoint || typeof breakpoint !== 'object') return breakpoint;
+
+      const result = {};
+      Object.keys(breakpoint).forEach((key) => {
+        result[key] = coerceValue(breakpoint[key], BREAKPOINT_SCHEMA[key]);
+      });
+      if (result.settings && typeof result.settings === 'object') {
+        result.settings = coerceConfig(result.settings);
+      }
+      return result;
+    });
+  }
+
+  return coerced;
+}
+
+/**
+ * Levenshtein distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - Number of single character edits
+ */
+function editDistance(a, b) {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) {
+    previous[j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Find the known key closest to an unknown one
+ *
+ * @param {string} key - The unknown key
+ * @param {Array} knownKeys - The keys to choose from
+ * @returns {string|null} - The suggestion, or null if nothing is close
+ */
+export function suggestKey(key, knownKeys) {
+  let suggestion = null;
+  let bestDistance = Math.max(2, Math.floor(key.length / 3)) + 1;
+
+  knownKeys.forEach((known) => {
+    const distance = known.toLowerCase() === key.toLowerCase() ? 0 : editDistance(key, known);
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      suggestion = known;
+    }
+  });
+
+  return suggestion;
+}
+
+/**
+ * Collect problems with the keys and values of an object against a schema
+ *
+ * @param {Object} values - The object to check
+ * @param {Object} schema - Schema rules, keyed by option name
+ * @param {string} path - Prefix for the reported keys
+ * @returns {Array} - Problem descriptions
+ */
+function checkSchema(values, schema, path) {
+  const problems = [];
+  const knownKeys = Object.keys(schema);
+
+  Object.keys(values).forEach((key) => {
+    const rule = schema[key];
+    const value = values[key];
+    const name = path + key;
+
+    if (!rule) {
+      const suggestion = suggestKey(key, knownKeys);
+      problems.push('unknown option "' + name + '"' + (suggestion ? ', did you mean "' + suggestion + '"?' : ''));
+      return;
+    }
+
+    if (value === undefined || (value === null && rule.nullable)) return;
+
+    const types = getTypes(rule);
+    if (types.indexOf(getType(value)) === -1) {
+      problems.push('"' + name + '" should be a ' + types.join(' or ') + ', got ' + JSON.stringify(value));
+      return;
+    }
+
+    if (rule.values && typeof value === 'string' && rule.values.indexOf(value) === -1) {
+      problems.push('"' + name + '" should be one of ' + rule.values.map((v) => '"' + v + '"').join(', ') + ', got "' + value + '"');
+    }
+
+    if (typeof value === 'number') {
+      if (isNaN(value)) {
+        problems.push('"' + name + '" should be a number, got NaN');
+      } else if (rule.min !== undefined && value < rule.min) {
+        problems.push('"' + name + '" should be at least ' + rule.min + ', got ' + value);
+      } else if (rule.max !== undefined && value > rule.max) {
+        problems.push('"' + name + '" should be at most ' + rule.max + ', got ' + value);
+      }
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Collect options that work against each other
+ *
+ * @param {Object} options - Options, with breakpoint settings applied
+ * @param {number} [totalSlides] - Number of slides
+ * @returns {Array} - Problem descriptions
+ */
+function checkConflicts(options, totalSlides) {
+  const problems = [];
+
+  if (options.infinite && options.bounceBack) {
+    problems.push('"infinite" and "bounceBack" can\'t be combined, "infinite" is used');
+  }
+
+  if (options.slidesToScroll > options.slidesToShow) {
+    problems.push('"slidesToScroll" (' + options.slidesToScroll + ') is greater than "slidesToShow" (' + options.slidesToShow + '), slides will be skipped');
+  }
+
+  if (options.orientation === 'vertical' && options.showOverflow) {
+    problems.push('"showOverflow" only applies to horizontal sliders');
+  }
+
+  if (options.orientation === 'vertical' && options.rtl === true) {
+    problems.push('"rtl" only applies to horizontal sliders');
+  }
+
+  if (options.virtual && (options.infinite || options.bounceBack)) {
+    problems.push('virtual sliders can\'t loop, "' + (options.infinite ? 'infinite' : 'bounceBack') + '" is ignored');
+  }
+
+  if (totalSlides !== undefined && options.startSlide >= totalSlides) {
+    problems.push('"startSlide" (' + options.startSlide + ') is beyond the last slide (' + (totalSlides - 1) + ')');
+  }
+
+  return problems;
+}
+
+/**
+ * Whether development checks should run. Bundlers replace
+ * process.env.NODE_ENV, so this folds to a constant; without a bundler there
+ * is no process global and the checks are skipped
+ *
+ * @returns {boolean}
+ */
+export function isDevelopment() {
+  try {
+    return process.env.NODE_ENV !== 'production';
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Report unknown keys, invalid values and conflicting options with console
+ * warnings. Options are not changed
+ *
+ * @param {Object} options - The merged configuration
+ * @param {number} [totalSlides] - Number of slides, to check startSlide
+ * @param {Object} [schema] - Schema rules, e.g. extended with plugin options
+ * @returns {Array} - Problem descriptions
+ */
+export function validateConfig(options, totalSlides, schema = CONFIG_SCHEMA) {
+  const conflicts = checkConflicts(options, totalSlides);
+  let problems = checkSchema(options, schema, '').concat(conflicts);
+
+  const responsiveSchema = {};
+  Object.keys(schema).forEach((key) => {
+    if (NON_RESPONSIVE_KEYS.indexOf(key) === -1) {
+      responsiveSchema[key] = schema[key];
+    }
+  });
+
+  (Array.isArray(options.responsive) ? options.responsive : []).forEach((breakpoint, i) => {
+    const path = 'responsive[' + i + ']';
+
+    if (!breakpoint || typeof breakpoint !== 'object') {
+      problems.push('"' + path + '" should be an object');
+      return;
+    }
+
+    problems = problems.concat(checkSchema(breakpoint, BREAKPOINT_SCHEMA, path + '.'));
+
+    if (breakpoint.breakpoint === undefined && breakpoint.minWidth === undefined && breakpoint.maxWidth === undefined) {
+      problems.push('"' + path + '" needs a breakpoint, minWidth or maxWidth');
+    }
+
+    const maxWidth = breakpoint.maxWidth !== undefined ? breakpoint.maxWidth : breakpoint.breakpoint;
+    if (maxWidth !== undefined && breakpoint.minWidth !== undefined && breakpoint.minWidth > maxWidth) {
+      problems.push('"' + path + '" minWidth (' + breakpoint.minWidth + ') is greater than its maxWidth (' + maxWidth + '), it never matches');
+    }
+
+    if (breakpoint.settings && typeof breakpoint.settings === 'object') {
+      problems = problems
+        .concat(checkSchema(breakpoint.settings, responsiveSchema, path + '.settings.'))
+        .concat(checkConflicts(Object.assign({}, options, breakpoint.settings), totalSlides)
+          // Conflicts in the base options are reported once
+          .filter((problem) => conflicts.indexOf(problem) === -1)
+          .map((problem) => path + ': ' + problem));
+    }
+  });
+
+  problems.forEach((problem) => {
+    console.warn('NativeScrollSlider: ' + problem);
+  });
+
+  return problems;
+}
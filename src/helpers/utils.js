@@ -29,13 +29,14 @@ export function parseMinSlideWidth(minWidth) {
  * @param {Array} slides - Array of slide elements
  * @param {number} gap - Gap between slides
  * @param {number} configuredSlidesToShow - Configured slides to show
+ * @param {string} [sizeProperty] - 'offsetWidth', or 'offsetHeight' for vertical sliders
  * @returns {number} - Actual number of slides visible
  */
-export function getActualSlidesToShow(container, slides, gap, configuredSlidesToShow) {
+export function getActualSlidesToShow(container, slides, gap, configuredSlidesToShow, sizeProperty = 'offsetWidth') {
   if (!slides.length) return configuredSlidesToShow;
 
-  const containerWidth = container.offsetWidth;
-  const slideWidth = slides[0].offsetWidth;
+  const containerWidth = container[sizeProperty];
+  const slideWidth = slides[0][sizeProperty];
 
   // Calculate how many slides actually fit in the visible area
   const actualSlidesToShow = Math.floor((containerWidth + gap) / (slideWidth + gap));
@@ -77,6 +78,37 @@ export function calculateSlideWidth({ containerWidth, slidesToShow, gap, minSlid
   return { slideWidth, totalNeededWidth, leftPadding };
 }
 
+/**
+ * Calculate slide width for showOverflow mode, leaving room for part of the next slide
+ *
+ * @param {Object} params - Calculation parameters
+ * @param {number} params.effectiveWidth - Width available to slides after padding
+ * @param {number} params.slidesToShow - Number of slides to show
+ * @param {number} params.gap - Gap between slides
+ * @param {number} params.overflowAmount - Fraction of a slide left peeking in
+ * @param {number} params.minSlideWidth - Minimum slide width
+ * @returns {number} - Slide width
+ */
+export function calculateOverflowSlideWidth({ effectiveWidth, slidesToShow, gap, overflowAmount, minSlideWidth }) {
+  const totalGaps = (slidesToShow - 1) * gap;
+  let overflowSlideWidth = 0;
+
+  if (overflowAmount > 0) {
+    const tempSlideWidth = (effectiveWidth - totalGaps - gap) / (slidesToShow + overflowAmount);
+    overflowSlideWidth = tempSlideWidth * overflowAmount;
+  }
+
+  const calculatedSlideWidth = (effectiveWidth - totalGaps - overflowSlideWidth) / slidesToShow;
+
+  // Apply minSlideWidth if defined - force it regardless of slidesToShow
+  const parsedMinWidth = parseMinSlideWidth(minSlideWidth);
+  if (parsedMinWidth > 0 && calculatedSlideWidth < parsedMinWidth) {
+    return parsedMinWidth;
+  }
+
+  return calculatedSlideWidth;
+}
+
 /**
  * Apply slide widths to all slides
  *
@@ -92,3 +124,72 @@ export function applySlideWidths(slides, width) {
     }
   }
 }
+
+/**
+ * Apply slide heights to all slides of a vertical slider
+ *
+ * @param {Array} slides - Array of slide elements
+ * @param {number} height - Height to apply to each slide
+ * @returns {void}
+ */
+export function applySlideHeights(slides, height) {
+  for (let i = 0; i < slides.length; i++) {
+    if (slides[i] && slides[i].style) {
+      slides[i].style.width = '';
+      slides[i].style.height = height + 'px';
+      slides[i].style.flexShrink = '0';
+    }
+  }
+}
+
+/**
+ * Replace {placeholders} in a label string
+ *
+ * @param {string} template - The label string
+ * @param {Object} values - Values keyed by placeholder name
+ * @returns {string} - The formatted label
+ */
+export function formatLabel(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined ? values[key] : match
+  ));
+}
+
+/**
+ * Check whether the user has asked the system to minimise motion
+ *
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+  return typeof window.matchMedia === 'function'
+    && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+/**
+ * Run a callback after a delay, cancelled if the slider is destroyed first
+ *
+ * @param {Object} context - Slider instance context
+ * @param {Function} callback - The callback to run
+ * @param {number} delay - Delay in milliseconds
+ * @returns {number} - The timeout id
+ */
+export function schedule(context, callback, delay) {
+  const timeoutId = setTimeout(() => {
+    context.timeouts = context.timeouts.filter((id) => id !== timeoutId);
+    callback();
+  }, delay);
+
+  context.timeouts.push(timeoutId);
+  return timeoutId;
+}
+
+/**
+ * Cancel every callback scheduled through schedule
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function clearScheduled(context) {
+  context.timeouts.forEach((timeoutId) => clearTimeout(timeoutId));
+  context.timeouts = [];
+}
@@ -0,0 +1,141 @@
+/**
+ * Accessibility for NativeScrollSlider, following the WAI-ARIA carousel pattern
+ *
+ * @module modules/accessibility
+ */
+
+import { formatLabel } from '../helpers/utils.js';
+import { updateNavigation } from './navigation.js';
+
+// Used to generate unique track ids for aria-controls
+let trackIdCounter = 0;
+
+/**
+ * Default, English label strings
+ */
+export const DEFAULT_LABELS = {
+  carousel: 'carousel',
+  carouselLabel: 'Carousel',
+  slide: 'slide',
+  slideLabel: '{index} of {total}',
+  prev: 'Previous slide',
+  next: 'Next slide',
+  autoplay: 'Autoplay',
+  goToPage: 'Go to page {page}',
+  announcement: 'Slide {index} of {total}'
+};
+
+/**
+ * Merge label overrides over the default labels
+ *
+ * @param {Object} [labels] - Label overrides
+ * @returns {Object} - The labels
+ */
+export function buildLabels(labels) {
+  return Object.assign({}, DEFAULT_LABELS, labels);
+}
+
+/**
+ * Apply WAI-ARIA carousel roles and labels and create the live region
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupAccessibility(context) {
+  const { container, track, labels, currentOptions } = context;
+
+  if (!currentOptions.accessibility) return;
+
+  container.setAttribute('role', 'region');
+  container.setAttribute('aria-roledescription', labels.carousel);
+  if (!container.hasAttribute('aria-label') && !container.hasAttribute('aria-labelledby')) {
+    container.setAttribute('aria-label', labels.carouselLabel);
+  }
+
+  if (!track.id) {
+    trackIdCounter++;
+    track.id = 'native-scroll-slider-track-' + trackIdCounter;
+  }
+
+  labelSlides(context);
+
+  const buttons = [[context.prevBtn, labels.prev], [context.nextBtn, labels.next]];
+  buttons.forEach(([button, label]) => {
+    if (!button) return;
+
+    button.setAttribute('aria-controls', track.id);
+    if (!button.hasAttribute('aria-label')) {
+      button.setAttribute('aria-label', label);
+    }
+  });
+
+  // Visually hidden region so announcements don't repeat the whole slide content
+  const liveRegion = document.createElement('div');
+  liveRegion.className = 'slider-live-region';
+  liveRegion.setAttribute('aria-live', 'polite');
+  liveRegion.setAttribute('aria-atomic', 'true');
+  Object.assign(liveRegion.style, {
+    position: 'absolute',
+    width: '1px',
+    height: '1px',
+    margin: '-1px',
+    padding: '0',
+    overflow: 'hidden',
+    clip: 'rect(0 0 0 0)',
+    whiteSpace: 'nowrap',
+    border: '0'
+  });
+  container.appendChild(liveRegion);
+  context.liveRegion = liveRegion;
+
+  updateNavigation(context);
+}
+
+/**
+ * Give each slide the group role and its position as a label
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function labelSlides(context) {
+  const { slides, labels } = context;
+
+  if (!context.currentOptions.accessibility) return;
+
+  for (let i = 0; i < slides.length; i++) {
+    slides[i].setAttribute('role', 'group');
+    slides[i].setAttribute('aria-roledescription', labels.slide);
+    slides[i].setAttribute('aria-label', formatLabel(labels.slideLabel, {
+      index: context.virtualStart + i + 1,
+      total: context.totalSlides
+    }));
+  }
+}
+
+/**
+ * Announce the current slide through the live region
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function announceSlide(context) {
+  if (!context.liveRegion) return;
+
+  context.liveRegion.textContent = formatLabel(context.labels.announcement, {
+    index: context.currentSlide + 1,
+    total: context.totalSlides
+  });
+}
+
+/**
+ * Remove the live region
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function removeLiveRegion(context) {
+  if (context.liveRegion) {
+    context.liveRegion.remove();
+    context.liveRegion = null;
+  }
+}
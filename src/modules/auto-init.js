@@ -0,0 +1,151 @@
+/**
+ * Auto-initialisation of sliders declared with data-slider-config markup
+ *
+ * @module modules/auto-init
+ */
+
+// Containers picked up by autoInit()
+const CONTAINER_SELECTOR = '[data-slider-config]';
+
+// Set to "false" on a container, or on the script tag of the CDN build, to opt out
+const OPT_OUT_ATTRIBUTE = 'data-slider-auto-init';
+
+// Mutation observers started by autoInit(), keyed by root
+const rootObservers = new WeakMap();
+
+/**
+ * Get the slider created for a container or track element
+ *
+ * @param {HTMLElement} element - The container or track element
+ * @returns {Object|null} - The slider instance
+ */
+export function getInstance(element) {
+  return (element && element.nativeScrollSlider) || null;
+}
+
+/**
+ * Store a slider on its container and track elements
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setInstance(context) {
+  context.container.nativeScrollSlider = context;
+  context.track.nativeScrollSlider = context;
+}
+
+/**
+ * Remove a slider stored by setInstance
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function removeInstance(context) {
+  [context.container, context.track].forEach((element) => {
+    if (element && element.nativeScrollSlider === context) {
+      delete element.nativeScrollSlider;
+    }
+  });
+}
+
+/**
+ * Check whether an element opts out of auto-initialisation
+ *
+ * @param {HTMLElement|null} element - A container or script element
+ * @returns {boolean}
+ */
+export function isAutoInitDisabled(element) {
+  return !!element && element.getAttribute(OPT_OUT_ATTRIBUTE) === 'false';
+}
+
+/**
+ * Find the track of a container: a `.slider-track` or `[data-slider-track]`
+ * element, or else its first child element that isn't a script, such as a
+ * JSON config block
+ *
+ * @param {HTMLElement} container - The container element
+ * @returns {HTMLElement|null} - The track element
+ */
+export function findTrack(container) {
+  return container.querySelector('.slider-track, [data-slider-track]') ||
+    Array.from(container.children).find((child) => child.tagName !== 'SCRIPT') ||
+    null;
+}
+
+/**
+ * Create sliders for every data-slider-config container in root that
+ * doesn't have one yet
+ *
+ * @param {Function} Slider - The slider class
+ * @param {Document|HTMLElement} root - The element to search
+ * @returns {Array} - The sliders created
+ */
+export function initContainers(Slider, root) {
+  const containers = Array.from(root.querySelectorAll(CONTAINER_SELECTOR));
+  if (root.matches && root.matches(CONTAINER_SELECTOR)) {
+    containers.unshift(root);
+  }
+
+  const created = [];
+
+  containers.forEach((container) => {
+    // Cloned slides may contain copies of nested sliders
+    if (getInstance(container) || isAutoInitDisabled(container) || container.closest('.cloned')) return;
+
+    const track = findTrack(container);
+    if (!track) {
+      console.warn('NativeScrollSlider: no track found in', container);
+      return;
+    }
+
+    const slider = new Slider(track);
+    if (getInstance(container) === slider) {
+      created.push(slider);
+    }
+  });
+
+  return created;
+}
+
+/**
+ * Create sliders for the data-slider-config containers in root, then keep
+ * watching root for sliders inserted later
+ *
+ * @param {Function} Slider - The slider class
+ * @param {Document|HTMLElement} [root] - The element to search
+ * @returns {Array} - The sliders created
+ */
+export function autoInit(Slider, root = document) {
+  const created = initContainers(Slider, root);
+
+  if (typeof MutationObserver !== 'undefined' && !rootObservers.has(root)) {
+    const observer = new MutationObserver((records) => {
+      records.forEach((record) => {
+        record.addedNodes.forEach((node) => {
+          if (node.nodeType !== 1 || node.classList.contains('cloned')) return;
+          initContainers(Slider, node);
+        });
+      });
+    });
+
+    observer.observe(root, { childList: true, subtree: true });
+    rootObservers.set(root, observer);
+  }
+
+  return created;
+}
+
+/**
+ * Stop watching root for inserted sliders. Sliders already created are kept
+ *
+ * @param {Document|HTMLElement} [root] - The root passed to autoInit
+ * @returns {void}
+ */
+export function stopAutoInit(root = document) {
+  const observer = rootObservers.get(root);
+
+  if (observer) {
+    observer.disconnect();
+    rootObservers.delete(root);
+  }
+}
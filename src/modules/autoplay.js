@@ -1,104 +1,428 @@
 /**
- * Autoplay functionality for NativeScrollSlider
+ * Autoplay functionality for NativeScrollSlider, registered as a built-in plugin
  *
  * @module modules/autoplay
  */
 
-import { findCurrentCenterSlideIndex, goToCenterSlide } from './infinite-scroll.js';
-import { next } from './navigation.js';
+import { addListener } from '../helpers/dom.js';
+import { prefersReducedMotion } from '../helpers/utils.js';
+import { emit } from './events.js';
+import { next, prev } from './navigation.js';
 
 /**
- * Setup autoplay with pause on hover
+ * Setup autoplay, starting it unless the user prefers reduced motion
  *
  * @param {Object} context - Slider instance context
  * @returns {void}
  */
 export function setupAutoplay(context) {
-  if (context.currentOptions.autoplay) {
-    startAutoplay(context);
+  if (!context.currentOptions.autoplay) return;
 
-    context.container.addEventListener('mouseenter', () => {
-      pauseAutoplay(context);
-    });
-    context.container.addEventListener('mouseleave', () => {
-      resumeAutoplay(context);
+  if (context.currentOptions.autoplayButton) {
+    setupAutoplayButton(context);
+  }
+
+  // Users who prefer reduced motion can still start it with play()
+  if (prefersReducedMotion()) {
+    updateAutoplayButton(context);
+    return;
+  }
+
+  play(context);
+}
+
+/**
+ * Pause autoplay while the slider is hovered, focused, hidden or out of view
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupAutoplayListeners(context) {
+  if (context.autoplayListenersAttached) return;
+  context.autoplayListenersAttached = true;
+
+  const { container } = context;
+
+  addListener(context, container, 'mouseenter', () => {
+    holdAutoplay(context, 'hover');
+  });
+  addListener(context, container, 'mouseleave', () => {
+    releaseAutoplay(context, 'hover');
+  });
+
+  // The play/pause control itself must stay usable while focused
+  addListener(context, container, 'focusin', (event) => {
+    if (context.autoplayButton && context.autoplayButton.contains(event.target)) {
+      releaseAutoplay(context, 'focus');
+    } else {
+      holdAutoplay(context, 'focus');
+    }
+  });
+  addListener(context, container, 'focusout', (event) => {
+    if (!container.contains(event.relatedTarget)) {
+      releaseAutoplay(context, 'focus');
+    }
+  });
+
+  addListener(context, document, 'visibilitychange', () => {
+    if (document.hidden) {
+      holdAutoplay(context, 'hidden');
+    } else {
+      releaseAutoplay(context, 'hidden');
+    }
+  });
+
+  if (typeof IntersectionObserver !== 'undefined') {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[entries.length - 1].isIntersecting) {
+        releaseAutoplay(context, 'offscreen');
+      } else {
+        holdAutoplay(context, 'offscreen');
+      }
     });
+    observer.observe(container);
+    context.observers.push(observer);
   }
 }
 
 /**
- * Start autoplay interval
+ * Render the play/pause toggle button
  *
  * @param {Object} context - Slider instance context
  * @returns {void}
  */
-export function startAutoplay(context) {
-  if (!context.currentOptions.autoplay) return;
+export function setupAutoplayButton(context) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'slider-autoplay-toggle';
+  button.textContent = context.labels.autoplay;
+  if (context.currentOptions.accessibility) {
+    button.setAttribute('aria-controls', context.track.id);
+  }
+
+  addListener(context, button, 'click', () => {
+    if (isPlaying(context)) {
+      pause(context);
+    } else {
+      play(context);
+    }
+  });
+
+  context.container.appendChild(button);
+  context.autoplayButton = button;
+}
+
+/**
+ * Reflect the playing state on the play/pause toggle button
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateAutoplayButton(context) {
+  if (!context.autoplayButton) return;
+
+  const playing = isPlaying(context);
+  context.autoplayButton.setAttribute('aria-pressed', playing ? 'true' : 'false');
+  context.autoplayButton.classList.toggle('is-paused', !playing);
+}
+
+/**
+ * Start autoplay
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function play(context) {
+  context.autoplayStopped = false;
+  setupAutoplayListeners(context);
+  updateAutoplay(context);
+  updateAutoplayButton(context);
+}
+
+/**
+ * Stop autoplay until play() is called
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function pause(context) {
+  context.autoplayStopped = true;
+  updateAutoplay(context);
+  updateAutoplayButton(context);
+}
+
+/**
+ * Whether autoplay is on. It may still be held while the slider is
+ * hovered, focused, scrolling, hidden or out of view
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+export function isPlaying(context) {
+  return !context.autoplayStopped;
+}
+
+/**
+ * Temporarily hold autoplay for a reason, e.g. 'hover' or 'focus'
+ *
+ * @param {Object} context - Slider instance context
+ * @param {string} reason - Why autoplay is held
+ * @returns {void}
+ */
+export function holdAutoplay(context, reason) {
+  context.autoplayHolds[reason] = true;
+  updateAutoplay(context);
+}
+
+/**
+ * Release a hold placed by holdAutoplay
+ *
+ * @param {Object} context - Slider instance context
+ * @param {string} reason - The reason passed to holdAutoplay
+ * @returns {void}
+ */
+export function releaseAutoplay(context, reason) {
+  delete context.autoplayHolds[reason];
+  updateAutoplay(context);
+}
+
+/**
+ * Run the autoplay loop only while playing and not held
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateAutoplay(context) {
+  const shouldRun = !context.autoplayStopped && Object.keys(context.autoplayHolds).length === 0;
+
+  if (!shouldRun) {
+    stopAutoplay(context);
+  } else if (!context.autoplayFrame) {
+    startAutoplay(context);
+  }
+}
 
+/**
+ * Start the autoplay loop, continuing from the time already elapsed on the current slide
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function startAutoplay(context) {
   stopAutoplay(context);
 
-  context.autoplayInterval = setInterval(() => {
+  const tick = (timestamp) => {
+    // Time spent scrolling doesn't count towards the current slide
+    if (context.autoplayLastTimestamp !== null && !context.isScrolling) {
+      context.autoplayElapsed += timestamp - context.autoplayLastTimestamp;
+    }
+    context.autoplayLastTimestamp = timestamp;
+
     if (!context.isScrolling) {
-      if (context.currentOptions.infinite) {
-        // For infinite mode, always use next() method which handles centerMode properly
-        const slideWidth = context.slides[0].offsetWidth + context.currentOptions.gap;
-        const scrollAmount = slideWidth * context.currentOptions.slidesToScroll;
-
-        if (context.currentOptions.centerMode) {
-          const currentCenterSlide = findCurrentCenterSlideIndex(context);
-          const nextCenterSlide = currentCenterSlide + context.currentOptions.slidesToScroll;
-          goToCenterSlide(context, nextCenterSlide);
-        } else {
-          context.track.scrollTo({
-            left: context.track.scrollLeft + scrollAmount,
-            behavior: 'smooth'
-          });
-        }
+      const duration = getAutoplayDuration(context);
+
+      if (context.autoplayElapsed >= duration) {
+        context.autoplayElapsed = 0;
+        updateAutoplayProgress(context, duration);
+        advanceAutoplay(context);
       } else {
-        // Non-infinite modes use next() method
-        next(context);
+        updateAutoplayProgress(context, duration);
       }
     }
-  }, context.currentOptions.autoplaySpeed);
+
+    // A handler of the advance or progress events may have stopped the loop
+    if (context.autoplayLastTimestamp !== null) {
+      context.autoplayFrame = requestAnimationFrame(tick);
+    }
+  };
+
+  context.autoplayFrame = requestAnimationFrame(tick);
 }
 
 /**
- * Stop autoplay interval
+ * Move autoplay one step in the configured direction
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function advanceAutoplay(context) {
+  context.isAutoplayChange = true;
+
+  if (context.currentOptions.autoplayDirection === 'rtl') {
+    prev(context);
+  } else {
+    next(context);
+  }
+}
+
+/**
+ * Get how long the current slide is shown, honouring data-autoplay-speed
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Duration in milliseconds
+ */
+export function getAutoplayDuration(context) {
+  const slide = context.slides[context.currentSlide - context.virtualStart];
+  const slideSpeed = slide ? parseInt(slide.dataset.autoplaySpeed, 10) : NaN;
+  const speed = isNaN(slideSpeed) ? context.currentOptions.autoplaySpeed : slideSpeed;
+
+  return Math.max(1, speed);
+}
+
+/**
+ * Report autoplay progress through the autoplayProgress event and the
+ * --slider-autoplay-progress custom property on the container
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} duration - Duration of the current slide in milliseconds
+ * @returns {void}
+ */
+export function updateAutoplayProgress(context, duration) {
+  const elapsed = Math.min(context.autoplayElapsed, duration);
+  const progress = elapsed / duration;
+
+  context.container.style.setProperty('--slider-autoplay-progress', progress.toFixed(4));
+
+  emit(context, 'autoplayProgress', {
+    elapsed: elapsed,
+    remaining: duration - elapsed,
+    duration: duration,
+    progress: progress
+  });
+}
+
+/**
+ * Stop the autoplay loop. Elapsed time is kept so it can resume
  *
  * @param {Object} context - Slider instance context
  * @returns {void}
  */
 export function stopAutoplay(context) {
-  if (context.autoplayInterval) {
-    clearInterval(context.autoplayInterval);
-    context.autoplayInterval = null;
+  if (context.autoplayFrame) {
+    cancelAnimationFrame(context.autoplayFrame);
+    context.autoplayFrame = null;
   }
+  context.autoplayLastTimestamp = null;
 }
 
 /**
- * Pause autoplay
+ * Stop autoplay and remove the play/pause toggle button
  *
  * @param {Object} context - Slider instance context
  * @returns {void}
  */
-export function pauseAutoplay(context) {
-  context.autoplayPaused = true;
+export function destroyAutoplay(context) {
   stopAutoplay(context);
+
+  if (context.autoplayButton) {
+    context.autoplayButton.remove();
+    context.autoplayButton = null;
+  }
 }
 
 /**
- * Resume autoplay after pause
+ * Start, stop or add the toggle button when the options change
  *
  * @param {Object} context - Slider instance context
+ * @param {Object} previousOptions - The options before the change
  * @returns {void}
  */
-export function resumeAutoplay(context) {
-  if (context.currentOptions.autoplay && context.autoplayPaused) {
-    context.autoplayPaused = false;
-    setTimeout(() => {
-      if (!context.autoplayPaused && !context.isScrolling) {
-        startAutoplay(context);
-      }
-    }, 1000);
+export function syncAutoplay(context, previousOptions) {
+  const { currentOptions } = context;
+  const showButton = currentOptions.autoplay && currentOptions.autoplayButton;
+
+  if (showButton && !context.autoplayButton) {
+    setupAutoplayButton(context);
+    updateAutoplayButton(context);
+  } else if (!showButton && context.autoplayButton) {
+    context.autoplayButton.remove();
+    context.autoplayButton = null;
+  }
+
+  if (currentOptions.autoplay === previousOptions.autoplay) return;
+
+  if (!currentOptions.autoplay) {
+    pause(context);
+  } else if (!prefersReducedMotion()) {
+    play(context);
   }
 }
+
+/**
+ * Autoplay plugin, registered by default with NativeScrollSlider but not
+ * NativeScrollSliderCore
+ */
+export const autoplayPlugin = {
+  name: 'autoplay',
+
+  /**
+   * Reset the autoplay state
+   *
+   * @param {Object} context - Slider instance context
+   * @returns {void}
+   */
+  beforeInit(context) {
+    context.autoplayFrame = null;
+    context.autoplayElapsed = 0;
+    context.autoplayLastTimestamp = null;
+    context.autoplayStopped = true;
+    context.autoplayHolds = {};
+    context.autoplayButton = null;
+    context.autoplayListenersAttached = false;
+  },
+
+  /**
+   * Start autoplay once the slider is laid out for the first time
+   *
+   * @param {Object} context - Slider instance context
+   * @param {Object} detail - Hook details
+   * @returns {void}
+   */
+  afterLayout(context, detail) {
+    if (detail.initial) {
+      setupAutoplay(context);
+    }
+  },
+
+  /**
+   * Give the new slide its full autoplay time
+   *
+   * @param {Object} context - Slider instance context
+   * @returns {void}
+   */
+  onSlideChange(context) {
+    context.autoplayElapsed = 0;
+  },
+
+  /**
+   * Follow breakpoints that switch autoplay on or off
+   *
+   * @param {Object} context - Slider instance context
+   * @param {Object} detail - Hook details
+   * @returns {void}
+   */
+  onResize(context, detail) {
+    syncAutoplay(context, detail.previousOptions);
+  },
+
+  /**
+   * Follow setOptions() switching autoplay on or off
+   *
+   * @param {Object} context - Slider instance context
+   * @param {Object} detail - Hook details
+   * @returns {void}
+   */
+  onOptionsChange(context, detail) {
+    syncAutoplay(context, detail.previousOptions);
+  },
+
+  /**
+   * Stop autoplay and remove the toggle button
+   *
+   * @param {Object} context - Slider instance context
+   * @returns {void}
+   */
+  onDestroy(context) {
+    destroyAutoplay(context);
+  }
+};
@@ -0,0 +1,50 @@
+/**
+ * Bounce-back functionality for NativeScrollSlider
+ *
+ * @module modules/bounce-back
+ */
+
+import { getAxis, getScrollPosition, setScrollPosition } from '../helpers/axis.js';
+import { setupClones } from './clones.js';
+
+/**
+ * Get the number of slides cloned on each side in bounce-back mode
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Clone count
+ */
+export function getBounceCloneCount(context) {
+  return Math.max(context.currentOptions.slidesToShow, 2);
+}
+
+/**
+ * Setup bounce back with clones on both sides
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupBounceBack(context) {
+  setupClones(context, getBounceCloneCount(context), 'bounce');
+}
+
+/**
+ * Jump back to the originals when the track is scrolled into the clones
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function handleBounceBackScroll(context) {
+  const { slides, slidePositions, currentOptions, totalSlides, currentSlide } = context;
+  const cloneCount = getBounceCloneCount(context);
+  const axis = getAxis(context);
+  const scrollLeft = getScrollPosition(context);
+  const slideWidth = slides[0][axis.size] + currentOptions.gap;
+
+  if (scrollLeft < cloneCount * slideWidth / 2) {
+    const targetIndex = cloneCount + totalSlides - (cloneCount - Math.floor(scrollLeft / slideWidth));
+    setScrollPosition(context, slidePositions[targetIndex]);
+  } else if (scrollLeft > slidePositions[cloneCount + totalSlides - 1]) {
+    const targetIndex = cloneCount + (currentSlide % totalSlides);
+    setScrollPosition(context, slidePositions[targetIndex]);
+  }
+}
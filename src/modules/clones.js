@@ -0,0 +1,69 @@
+/**
+ * Cloned slides shared by the infinite and bounce-back modes
+ *
+ * @module modules/clones
+ */
+
+import { createClonedSlides, removeClonedSlides } from '../helpers/dom.js';
+import { schedule } from '../helpers/utils.js';
+import { getAxis, getInnerSize, setScrollPosition } from '../helpers/axis.js';
+import { updateSlidePositions } from './layout.js';
+import { removeRecycling } from './recycle.js';
+
+/**
+ * Clone slides on both sides of the originals and scroll the current slide into place
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} cloneCount - Number of slides to clone on each side
+ * @param {string} mode - 'infinite' or 'bounce'
+ * @returns {void}
+ */
+export function setupClones(context, cloneCount, mode) {
+  context.initialCloneCount = cloneCount;
+  context.allSlides = createClonedSlides(context.slides, context.track, cloneCount, mode);
+
+  // Set initial position after DOM updates
+  schedule(context, () => {
+    const { track, slides, currentOptions } = context;
+    const axis = getAxis(context);
+
+    updateSlidePositions(context);
+
+    // Rebuilt clones (e.g. after a resize) keep the slide the user was on
+    const startSlide = context.isInitialized ? context.currentSlide : currentOptions.startSlide;
+    let initialPosition = context.slidePositions[cloneCount + startSlide];
+
+    // Apply centerMode calculations if needed
+    if (currentOptions.centerMode) {
+      const visibleTrackWidth = getInnerSize(track, axis).size;
+      const slideWidth = slides[0][axis.size];
+      initialPosition = initialPosition - (visibleTrackWidth / 2) + (slideWidth / 2);
+    }
+
+    // Disable smooth scrolling temporarily for initial positioning
+    track.style.scrollBehavior = 'auto';
+    setScrollPosition(context, initialPosition);
+    track.style.scrollBehavior = 'smooth';
+
+    context.currentSlide = startSlide;
+    if (mode === 'infinite') {
+      context.infiniteScrollSetup = true;
+    }
+  }, 10);
+}
+
+/**
+ * Remove infinite and bounce-back clones from the track, and the spacers of a
+ * recycling infinite slider
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function removeClones(context) {
+  removeClonedSlides(context.track);
+  removeRecycling(context);
+
+  context.allSlides = null;
+  context.initialCloneCount = 0;
+  context.infiniteScrollSetup = false;
+}
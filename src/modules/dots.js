@@ -0,0 +1,157 @@
+/**
+ * Pagination dots for NativeScrollSlider
+ *
+ * @module modules/dots
+ */
+
+import { addListener } from '../helpers/dom.js';
+import { formatLabel } from '../helpers/utils.js';
+import { goToSlide, getLastSlideIndex } from './navigation.js';
+
+/**
+ * Render pagination dots, one per page
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupDots(context) {
+  removeDots(context);
+
+  const { container, track, currentOptions } = context;
+  const dots = currentOptions.dots;
+  if (!dots) return;
+
+  if (typeof dots === 'string') {
+    context.dotsContainer = container.querySelector(dots) || document.querySelector(dots);
+    if (!context.dotsContainer) {
+      console.warn('NativeScrollSlider: dots container not found', dots);
+      return;
+    }
+    context.dotsCreated = false;
+  } else {
+    context.dotsContainer = document.createElement('div');
+    context.dotsContainer.className = 'slider-dots';
+    container.appendChild(context.dotsContainer);
+    context.dotsCreated = true;
+  }
+
+  const pageCount = getPageCount(context);
+
+  for (let i = 0; i < pageCount; i++) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'slider-dot';
+    button.setAttribute('aria-label', formatLabel(context.labels.goToPage, { page: i + 1 }));
+    if (currentOptions.accessibility) {
+      button.setAttribute('aria-controls', track.id);
+    }
+
+    if (typeof currentOptions.customPaging === 'function') {
+      const content = currentOptions.customPaging.call(context, i);
+      if (content instanceof Node) {
+        button.appendChild(content);
+      } else if (content !== undefined && content !== null) {
+        button.innerHTML = content;
+      }
+    }
+
+    addListener(context, button, 'click', () => {
+      goToSlide(context, getPageStart(context, i));
+    });
+
+    context.dotsContainer.appendChild(button);
+    context.dotButtons.push(button);
+  }
+
+  updateDots(context);
+}
+
+/**
+ * Remove rendered pagination dots
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function removeDots(context) {
+  context.dotButtons.forEach((button) => button.remove());
+  context.dotButtons = [];
+
+  if (context.dotsContainer && context.dotsCreated) {
+    context.dotsContainer.remove();
+  }
+  context.dotsContainer = null;
+}
+
+/**
+ * Get the number of pages, taking slidesToShow and slidesToScroll into account
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Number of pages
+ */
+export function getPageCount(context) {
+  const { currentOptions, totalSlides } = context;
+  const slidesToScroll = Math.max(1, currentOptions.slidesToScroll);
+
+  // Looping and centered sliders can land on any slide
+  if (currentOptions.infinite || currentOptions.bounceBack || currentOptions.centerMode) {
+    return Math.ceil(totalSlides / slidesToScroll);
+  }
+
+  return Math.ceil(getLastSlideIndex(context) / slidesToScroll) + 1;
+}
+
+/**
+ * Get the first slide of a page
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} page - The page index
+ * @returns {number} - Slide index
+ */
+export function getPageStart(context, page) {
+  const slidesToScroll = Math.max(1, context.currentOptions.slidesToScroll);
+  const start = page * slidesToScroll;
+
+  return Math.min(start, getLastSlideIndex(context));
+}
+
+/**
+ * Get the page containing the current slide
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Page index
+ */
+export function getCurrentPage(context) {
+  const slidesToScroll = Math.max(1, context.currentOptions.slidesToScroll);
+  const lastPage = getPageCount(context) - 1;
+
+  // The last page may start before a multiple of slidesToScroll
+  if (context.currentSlide >= getPageStart(context, lastPage)) {
+    return lastPage;
+  }
+
+  return Math.min(Math.floor(context.currentSlide / slidesToScroll), lastPage);
+}
+
+/**
+ * Mark the dot for the current page as active
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateDots(context) {
+  const { dotButtons } = context;
+  if (!dotButtons.length) return;
+
+  const currentPage = getCurrentPage(context);
+
+  for (let i = 0; i < dotButtons.length; i++) {
+    const isActive = i === currentPage;
+    dotButtons[i].classList.toggle('active', isActive);
+
+    if (isActive) {
+      dotButtons[i].setAttribute('aria-current', 'true');
+    } else {
+      dotButtons[i].removeAttribute('aria-current');
+    }
+  }
+}
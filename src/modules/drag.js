@@ -0,0 +1,236 @@
+/**
+ * Mouse drag-to-scroll for NativeScrollSlider
+ *
+ * @module modules/drag
+ */
+
+import { addListener } from '../helpers/dom.js';
+import { schedule } from '../helpers/utils.js';
+import { getAxis, getScrollPosition, setScrollPosition, getSlideIndexAtPosition } from '../helpers/axis.js';
+import { emit } from './events.js';
+import { goToSlide, getLastSlideIndex } from './navigation.js';
+import { getBounceCloneCount } from './bounce-back.js';
+import { getLogicalIndex } from './infinite-scroll.js';
+
+// Pixels the pointer has to move before a press becomes a drag
+const DRAG_THRESHOLD = 5;
+
+// Only pointer movement this recent counts towards the release velocity
+const VELOCITY_WINDOW = 100;
+
+// How far the track coasts after release, in milliseconds of release velocity
+const MOMENTUM_TIME = 250;
+
+/**
+ * Let mouse users drag the track. Touch and pen input keep native scrolling
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupDrag(context) {
+  const { track } = context;
+
+  context.dragState = null;
+  context.suppressClick = false;
+
+  addListener(context, track, 'pointerdown', (event) => {
+    handleDragStart(context, event);
+  });
+  addListener(context, track, 'pointermove', (event) => {
+    handleDragMove(context, event);
+  });
+  addListener(context, track, 'pointerup', (event) => {
+    handleDragEnd(context, event);
+  });
+  addListener(context, track, 'pointercancel', (event) => {
+    handleDragEnd(context, event);
+  });
+
+  // Links and images would otherwise start a native drag and drop
+  addListener(context, track, 'dragstart', (event) => {
+    if (context.currentOptions.draggable) {
+      event.preventDefault();
+    }
+  });
+
+  // A drag released over a link or button shouldn't activate it
+  addListener(context, track, 'click', (event) => {
+    if (context.suppressClick) {
+      context.suppressClick = false;
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  }, true);
+}
+
+/**
+ * Get the pointer position along the slider's axis
+ *
+ * @param {Object} context - Slider instance context
+ * @param {PointerEvent} event - The pointer event
+ * @returns {number} - Position in pixels
+ */
+function getPointerPosition(context, event) {
+  return getAxis(context).vertical ? event.clientY : event.clientX;
+}
+
+/**
+ * Start tracking a mouse press on the track
+ *
+ * @param {Object} context - Slider instance context
+ * @param {PointerEvent} event - The pointerdown event
+ * @returns {void}
+ */
+export function handleDragStart(context, event) {
+  if (!context.currentOptions.draggable || event.pointerType !== 'mouse' || event.button !== 0) return;
+
+  // Leave presses alone in form fields inside a slide
+  const target = event.target;
+  if (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName)) return;
+
+  context.dragState = {
+    pointerId: event.pointerId,
+    startPoint: getPointerPosition(context, event),
+    lastPoint: getPointerPosition(context, event),
+    isDragging: false,
+    samples: []
+  };
+}
+
+/**
+ * Scroll the track with the pointer once it passes the drag threshold
+ *
+ * @param {Object} context - Slider instance context
+ * @param {PointerEvent} event - The pointermove event
+ * @returns {void}
+ */
+export function handleDragMove(context, event) {
+  const state = context.dragState;
+  if (!state || event.pointerId !== state.pointerId) return;
+
+  const { track } = context;
+  const point = getPointerPosition(context, event);
+
+  if (!state.isDragging) {
+    if (Math.abs(point - state.startPoint) < DRAG_THRESHOLD) return;
+
+    state.isDragging = true;
+    state.snapType = track.style.scrollSnapType;
+
+    // Follow the pointer exactly, without smoothing or snapping mid-drag
+    track.style.scrollBehavior = 'auto';
+    track.style.scrollSnapType = 'none';
+    track.classList.add('grabbing');
+
+    if (track.setPointerCapture) {
+      track.setPointerCapture(event.pointerId);
+    }
+
+    emit(context, 'dragStart');
+  }
+
+  // Moving the pointer towards the end edge scrolls back towards the start
+  const delta = getAxis(context).rtl ? point - state.lastPoint : state.lastPoint - point;
+
+  // Relative moves keep working across infinite teleports
+  setScrollPosition(context, getScrollPosition(context) + delta);
+  state.lastPoint = point;
+
+  const now = performance.now();
+  state.samples.push({ position: getScrollPosition(context), time: now });
+  state.samples = state.samples.filter((sample) => now - sample.time <= VELOCITY_WINDOW);
+
+  event.preventDefault();
+}
+
+/**
+ * Finish a drag, coasting on the release velocity to the nearest slide
+ *
+ * @param {Object} context - Slider instance context
+ * @param {PointerEvent} event - The pointerup or pointercancel event
+ * @returns {void}
+ */
+export function handleDragEnd(context, event) {
+  const state = context.dragState;
+  if (!state || event.pointerId !== state.pointerId) return;
+
+  context.dragState = null;
+
+  if (!state.isDragging) return;
+
+  const { track } = context;
+
+  track.style.scrollBehavior = 'smooth';
+  track.style.scrollSnapType = state.snapType;
+  track.classList.remove('grabbing');
+
+  if (track.releasePointerCapture && track.hasPointerCapture && track.hasPointerCapture(event.pointerId)) {
+    track.releasePointerCapture(event.pointerId);
+  }
+
+  // The click that follows pointerup is part of the drag
+  context.suppressClick = true;
+  schedule(context, () => {
+    context.suppressClick = false;
+  }, 0);
+
+  const position = getScrollPosition(context);
+  const samples = state.samples;
+  let velocity = 0;
+
+  if (event.type === 'pointerup' && samples.length > 1) {
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    velocity = (last.position - first.position) / Math.max(1, last.time - first.time);
+  }
+
+  const index = getSlideIndexAtPosition(context, position + velocity * MOMENTUM_TIME);
+
+  emit(context, 'dragEnd', { velocity: velocity });
+
+  goToSlide(context, getDragTargetSlide(context, index));
+}
+
+/**
+ * Map a rendered slide index to the slide a drag settles on
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} index - Index within allSlides, or slides when there are no clones
+ * @returns {number} - The logical slide index
+ */
+function getDragTargetSlide(context, index) {
+  const { currentOptions, totalSlides } = context;
+
+  if (currentOptions.infinite) {
+    return getLogicalIndex(context, index);
+  }
+
+  if (currentOptions.bounceBack && context.allSlides) {
+    return Math.min(Math.max(index - getBounceCloneCount(context), 0), totalSlides - 1);
+  }
+
+  return Math.min(index, getLastSlideIndex(context));
+}
+
+/**
+ * Mouse dragging plugin, registered by default with NativeScrollSlider but not
+ * NativeScrollSliderCore
+ */
+export const dragPlugin = {
+  name: 'drag',
+
+  /**
+   * Listen for drags once, and follow the draggable option after every layout
+   *
+   * @param {Object} context - Slider instance context
+   * @param {Object} detail - Hook details
+   * @returns {void}
+   */
+  afterLayout(context, detail) {
+    if (detail.initial) {
+      setupDrag(context);
+    }
+
+    context.track.classList.toggle('slider-draggable', !!context.currentOptions.draggable);
+  }
+};
@@ -0,0 +1,148 @@
+/**
+ * Event system for NativeScrollSlider
+ *
+ * @module modules/events
+ */
+
+import { focusActiveSlide } from './keyboard.js';
+import { announceSlide } from './accessibility.js';
+import { runHook } from './plugins.js';
+
+/**
+ * Register an event handler
+ *
+ * @param {Object} context - Slider instance context
+ * @param {string} eventName - The event name, e.g. 'afterChange'
+ * @param {Function} handler - Called with the event payload
+ * @returns {void}
+ */
+export function on(context, eventName, handler) {
+  if (typeof handler !== 'function') return;
+
+  if (!context.eventHandlers[eventName]) {
+    context.eventHandlers[eventName] = [];
+  }
+  context.eventHandlers[eventName].push(handler);
+}
+
+/**
+ * Remove an event handler. Without a handler, removes all handlers for the event
+ *
+ * @param {Object} context - Slider instance context
+ * @param {string} eventName - The event name
+ * @param {Function} [handler] - The handler to remove
+ * @returns {void}
+ */
+export function off(context, eventName, handler) {
+  if (!context.eventHandlers[eventName]) return;
+
+  if (!handler) {
+    delete context.eventHandlers[eventName];
+    return;
+  }
+
+  context.eventHandlers[eventName] = context.eventHandlers[eventName].filter(
+    (registered) => registered !== handler && registered.originalHandler !== handler
+  );
+}
+
+/**
+ * Register an event handler that is removed after its first call
+ *
+ * @param {Object} context - Slider instance context
+ * @param {string} eventName - The event name
+ * @param {Function} handler - Called with the event payload
+ * @returns {void}
+ */
+export function once(context, eventName, handler) {
+  if (typeof handler !== 'function') return;
+
+  const wrapper = function(payload) {
+    off(context, eventName, wrapper);
+    handler.call(context, payload);
+  };
+  wrapper.originalHandler = handler;
+
+  on(context, eventName, wrapper);
+}
+
+/**
+ * Call registered handlers and dispatch a bubbling `slider:<eventName>`
+ * CustomEvent on the container
+ *
+ * @param {Object} context - Slider instance context
+ * @param {string} eventName - The event name
+ * @param {Object} detail - The event payload
+ * @returns {void}
+ */
+export function emit(context, eventName, detail = {}) {
+  const payload = Object.assign({ slider: context }, detail);
+  const handlers = (context.eventHandlers[eventName] || []).slice();
+
+  for (let i = 0; i < handlers.length; i++) {
+    handlers[i].call(context, payload);
+  }
+
+  if (context.container) {
+    context.container.dispatchEvent(new CustomEvent('slider:' + eventName, {
+      bubbles: true,
+      detail: payload
+    }));
+  }
+}
+
+/**
+ * Start a slide change and emit beforeChange
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} nextSlide - The logical index of the slide being moved to
+ * @returns {void}
+ */
+export function beginChange(context, nextSlide) {
+  if (!context.isInitialized || nextSlide === context.currentSlide) return;
+
+  // Remember where the change started so afterChange reports the full move
+  if (context.changeFromSlide === null) {
+    context.changeFromSlide = context.currentSlide;
+  }
+
+  emit(context, 'beforeChange', {
+    currentSlide: context.currentSlide,
+    nextSlide: nextSlide
+  });
+}
+
+/**
+ * Finish a slide change and emit afterChange if the slide moved
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function settleChange(context) {
+  const previousSlide = context.changeFromSlide;
+
+  context.changeFromSlide = null;
+  context.targetSlide = null;
+
+  const isAutoplayChange = context.isAutoplayChange;
+  context.isAutoplayChange = false;
+
+  if (context.focusActiveSlideOnSettle) {
+    focusActiveSlide(context);
+  }
+
+  if (previousSlide !== null && previousSlide !== context.currentSlide) {
+    const detail = {
+      previousSlide: previousSlide,
+      currentSlide: context.currentSlide
+    };
+
+    runHook(context, 'onSlideChange', detail);
+    emit(context, 'afterChange', detail);
+
+    // Rotating content is not announced, per the WAI-ARIA carousel pattern
+    if (!isAutoplayChange) {
+      announceSlide(context);
+    }
+  }
+}
@@ -4,6 +4,13 @@
  * @module modules/infinite-scroll
  */
 
+import { schedule } from '../helpers/utils.js';
+import { getAxis, getViewportElement, getInnerSize, getScrollPosition, setScrollPosition, scrollToPosition, getSlideOffset, getSlideIndexAtPosition } from '../helpers/axis.js';
+import { beginChange, settleChange } from './events.js';
+import { updateDots } from './dots.js';
+import { setupClones } from './clones.js';
+import { isRecycling, recentreRecycling } from './recycle.js';
+
 /**
  * Handle infinite scroll with seamless looping
  *
@@ -13,9 +20,16 @@
 export function handleInfiniteScroll(context) {
   if (!context.infiniteScrollSetup) return;
 
-  const { track, slides, slidePositions, initialCloneCount, currentOptions } = context;
-  const scrollLeft = track.scrollLeft;
-  const slideWidth = slides[0].offsetWidth + currentOptions.gap;
+  // Recycled slides never run out, only the scroll range does
+  if (isRecycling(context)) {
+    recentreRecycling(context);
+    return;
+  }
+
+  const { slides, slidePositions, initialCloneCount, currentOptions } = context;
+  const axis = getAxis(context);
+  const scrollLeft = getScrollPosition(context);
+  const slideWidth = slides[0][axis.size] + currentOptions.gap;
   const totalOriginalWidth = context.totalSlides * slideWidth;
 
   // Calculate the boundaries where we need to "teleport"
@@ -25,32 +39,34 @@ export function handleInfiniteScroll(context) {
   // If we've scrolled too far left, jump to the equivalent position on the right
   if (scrollLeft <= leftBoundary) {
     const equivalentPosition = scrollLeft + totalOriginalWidth;
-    seamlessJump(track, equivalentPosition);
+    seamlessJump(context, equivalentPosition);
   }
   // If we've scrolled too far right, jump to the equivalent position on the left
   else if (scrollLeft >= rightBoundary) {
     const equivalentPosition = scrollLeft - totalOriginalWidth;
-    seamlessJump(track, equivalentPosition);
+    seamlessJump(context, equivalentPosition);
   }
 }
 
 /**
  * Perform a seamless jump to maintain infinite scroll illusion
  *
- * @param {HTMLElement} track - Track element
+ * @param {Object} context - Slider instance context
  * @param {number} newPosition - The new scroll position
  * @returns {void}
  */
-export function seamlessJump(track, newPosition) {
+export function seamlessJump(context, newPosition) {
+  const { track } = context;
+
   // Temporarily disable smooth scrolling for the jump
   const originalBehavior = track.style.scrollBehavior;
   track.style.scrollBehavior = 'auto';
 
   // Perform the jump
-  track.scrollLeft = newPosition;
+  setScrollPosition(context, newPosition);
 
   // Re-enable smooth scrolling after a small delay
-  setTimeout(() => {
+  schedule(context, () => {
     track.style.scrollBehavior = originalBehavior || 'smooth';
   }, 10);
 }
@@ -62,31 +78,17 @@ export function seamlessJump(track, newPosition) {
  * @returns {number} - Index of centered slide
  */
 export function findCurrentCenterSlideIndex(context) {
-  const { track, allSlides, slides } = context;
-  const scrollLeft = track.scrollLeft;
-  const trackStyles = window.getComputedStyle(track);
-  const trackPaddingLeft = parseFloat(trackStyles.paddingLeft) || 0;
-  const visibleTrackWidth = track.offsetWidth - trackPaddingLeft - (parseFloat(trackStyles.paddingRight) || 0);
-
-  // Find the center point of the visible area
-  const centerPoint = scrollLeft + (visibleTrackWidth / 2);
-
-  let closestSlide = 0;
-  let closestDistance = Infinity;
-
-  const slidesToUse = allSlides || slides;
-  for (let i = 0; i < slidesToUse.length; i++) {
-    const slide = slidesToUse[i];
-    const slideCenter = slide.offsetLeft + (slide.offsetWidth / 2) - trackPaddingLeft;
-    const distance = Math.abs(centerPoint - slideCenter);
-
-    if (distance < closestDistance) {
-      closestDistance = distance;
-      closestSlide = i;
-    }
-  }
+  return getSlideIndexAtPosition(context);
+}
 
-  return closestSlide;
+/**
+ * Find the index within allSlides of the slide in view in infinite mode
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Index within allSlides
+ */
+export function findCurrentInfiniteSlideIndex(context) {
+  return getSlideIndexAtPosition(context);
 }
 
 /**
@@ -106,90 +108,130 @@ export function goToCenterSlide(context, slideIndex) {
   }
 
   const targetSlide = slidesToUse[slideIndex];
-  const trackStyles = window.getComputedStyle(track);
-  const trackPaddingLeft = parseFloat(trackStyles.paddingLeft) || 0;
-  const trackPaddingRight = parseFloat(trackStyles.paddingRight) || 0;
-  const visibleTrackWidth = track.offsetWidth - trackPaddingLeft - trackPaddingRight;
+  const axis = getAxis(context);
+  const visibleTrack = getInnerSize(track, axis);
 
   // Calculate position to center this slide
-  const slideLeft = targetSlide.offsetLeft - trackPaddingLeft;
-  const slideWidth = targetSlide.offsetWidth;
-  const targetPosition = slideLeft - (visibleTrackWidth / 2) + (slideWidth / 2);
-
-  track.scrollTo({
-    left: targetPosition,
-    behavior: 'smooth'
-  });
+  const slideLeft = getSlideOffset(context, targetSlide) - visibleTrack.paddingStart;
+  const slideWidth = targetSlide[axis.size];
+  const targetPosition = slideLeft - (visibleTrack.size / 2) + (slideWidth / 2);
+
+  scrollToPosition(context, targetPosition);
 }
 
 /**
- * Setup true infinite scroll with clones
+ * Go to the copy of a slide (original or clone) closest to the current
+ * position, so the track takes the shortest way around the loop
  *
  * @param {Object} context - Slider instance context
+ * @param {number} slideIndex - The logical index of the slide to go to
  * @returns {void}
  */
-export function setupTrueInfinite(context) {
-  const { container, track, slides, currentOptions } = context;
+export function goToInfiniteSlide(context, slideIndex) {
+  // Clones are positioned asynchronously after setup
+  if (!context.infiniteScrollSetup) return;
 
-  // Calculate how many clones we need for smooth infinite scrolling
-  const containerWidth = container.offsetWidth;
-  const slideWidth = slides[0].offsetWidth + currentOptions.gap;
-  const slidesPerView = Math.ceil(containerWidth / slideWidth);
+  const currentIndex = findCurrentInfiniteSlideIndex(context);
+  const targetIndex = findNearestSlideCopy(context, slideIndex, currentIndex);
 
-  // Create enough clones to fill at least 2 viewport widths on each side
-  const clonesNeeded = Math.max(context.totalSlides, slidesPerView * 2);
+  if (targetIndex === -1) return;
 
-  context.initialCloneCount = clonesNeeded;
+  beginChange(context, slideIndex);
+  context.targetSlide = slideIndex;
+  context.currentSlide = slideIndex;
+  updateDots(context);
 
-  // Clone slides to the end
-  for (let i = 0; i < clonesNeeded; i++) {
-    const originalIndex = i % context.totalSlides;
-    const clone = slides[originalIndex].cloneNode(true);
-    clone.classList.add('cloned', 'infinite-clone');
-    clone.dataset.originalIndex = originalIndex;
-    track.appendChild(clone);
+  if (targetIndex === currentIndex) {
+    settleChange(context);
   }
 
-  // Clone slides to the beginning
-  for (let i = 0; i < clonesNeeded; i++) {
-    const originalIndex = (context.totalSlides - 1 - (i % context.totalSlides)) % context.totalSlides;
-    const clone = slides[originalIndex].cloneNode(true);
-    clone.classList.add('cloned', 'infinite-clone');
-    clone.dataset.originalIndex = originalIndex;
-    track.insertBefore(clone, track.firstChild);
+  if (context.currentOptions.centerMode) {
+    goToCenterSlide(context, targetIndex);
+  } else {
+    scrollToPosition(context, context.slidePositions[targetIndex]);
   }
+}
 
-  context.allSlides = Array.from(track.children);
+/**
+ * Find the index within allSlides of the copy of a slide nearest to another index
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} slideIndex - The logical index of the slide
+ * @param {number} fromIndex - The index within allSlides to measure from
+ * @returns {number} - Index within allSlides, or -1 if not found
+ */
+export function findNearestSlideCopy(context, slideIndex, fromIndex) {
+  const slidesToUse = context.allSlides || context.slides;
+  let nearestIndex = -1;
+  let nearestDistance = Infinity;
 
-  // Set initial position after DOM updates
-  setTimeout(() => {
-    const slidePositions = [];
-    const leftPadding = parseFloat(track.style.paddingLeft) || 0;
-    for (let i = 0; i < context.allSlides.length; i++) {
-      slidePositions.push(context.allSlides[i].offsetLeft - leftPadding);
-    }
-    context.slidePositions = slidePositions;
-
-    // Start in the middle section (original slides)
-    const startIndex = clonesNeeded + currentOptions.startSlide;
-    let initialPosition = slidePositions[startIndex];
-
-    // Apply centerMode calculations if needed
-    if (currentOptions.centerMode) {
-      const trackStyles = window.getComputedStyle(track);
-      const trackPaddingLeft = parseFloat(trackStyles.paddingLeft) || 0;
-      const trackPaddingRight = parseFloat(trackStyles.paddingRight) || 0;
-      const visibleTrackWidth = track.offsetWidth - trackPaddingLeft - trackPaddingRight;
-      const slideWidth = slides[0].offsetWidth;
-      initialPosition = initialPosition - (visibleTrackWidth / 2) + (slideWidth / 2);
+  for (let i = 0; i < slidesToUse.length; i++) {
+    if (getLogicalIndex(context, i) !== slideIndex) continue;
+
+    const distance = Math.abs(i - fromIndex);
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearestIndex = i;
     }
+  }
 
-    // Disable smooth scrolling temporarily for initial positioning
-    track.style.scrollBehavior = 'auto';
-    track.scrollLeft = initialPosition;
-    track.style.scrollBehavior = 'smooth';
+  return nearestIndex;
+}
 
-    context.currentSlide = currentOptions.startSlide;
-    context.infiniteScrollSetup = true;
-  }, 10);
+/**
+ * Map an index in the rendered slides (including clones) to its original slide index
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} index - Index within allSlides (or slides when there are no clones)
+ * @returns {number} - Original slide index
+ */
+export function getLogicalIndex(context, index) {
+  const slidesToUse = context.allSlides || context.slides;
+  const slide = slidesToUse[index];
+
+  if (!slide) return 0;
+
+  if (slide.dataset.originalIndex !== undefined) {
+    return parseInt(slide.dataset.originalIndex, 10);
+  }
+
+  const originalIndex = context.slides.indexOf(slide);
+  return originalIndex === -1 ? 0 : originalIndex;
+}
+
+/**
+ * Start a change by a number of slides in infinite mode, wrapping around the loop
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} offset - Number of slides to move, negative for backwards
+ * @returns {void}
+ */
+export function beginInfiniteChange(context, offset) {
+  const { currentSlide, totalSlides } = context;
+  const nextSlide = ((currentSlide + offset) % totalSlides + totalSlides) % totalSlides;
+
+  beginChange(context, nextSlide);
+  context.targetSlide = nextSlide;
+}
+
+/**
+ * Setup true infinite scroll with clones
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupTrueInfinite(context) {
+  const { slides, currentOptions } = context;
+  const axis = getAxis(context);
+
+  // Calculate how many clones we need for smooth infinite scrolling
+  // We need enough clones on each side to handle the maximum scroll distance
+  const containerWidth = getViewportElement(context)[axis.size];
+  const slideWidth = slides[0][axis.size] + currentOptions.gap;
+  const slidesPerView = Math.ceil(containerWidth / slideWidth);
+
+  // Create enough clones to fill at least 2 viewport widths on each side
+  const clonesNeeded = Math.max(context.totalSlides, slidesPerView * 2);
+
+  setupClones(context, clonesNeeded, 'infinite');
 }
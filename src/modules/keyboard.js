@@ -0,0 +1,133 @@
+/**
+ * Keyboard navigation for NativeScrollSlider
+ *
+ * @module modules/keyboard
+ */
+
+import { addListener } from '../helpers/dom.js';
+import { getAxis } from '../helpers/axis.js';
+import { next, prev, goToSlide, getLastSlideIndex, getVisibleSlideCount } from './navigation.js';
+
+/**
+ * Setup keyboard navigation on the track
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupKeyboard(context) {
+  const { track, currentOptions } = context;
+
+  if (!currentOptions.keyboard) return;
+
+  // Single tab stop on the track; slides only receive focus programmatically
+  if (!track.hasAttribute('tabindex')) {
+    track.setAttribute('tabindex', '0');
+  }
+  setupKeyboardSlides(context);
+
+  addListener(context, track, 'keydown', (event) => {
+    handleKeydown(context, event);
+  });
+}
+
+/**
+ * Let slides receive focus programmatically without adding tab stops
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupKeyboardSlides(context) {
+  const { slides } = context;
+
+  if (!context.currentOptions.keyboard) return;
+
+  for (let i = 0; i < slides.length; i++) {
+    slides[i].setAttribute('tabindex', '-1');
+  }
+}
+
+/**
+ * Map navigation keys to slide changes
+ *
+ * @param {Object} context - Slider instance context
+ * @param {KeyboardEvent} event - The keydown event
+ * @returns {void}
+ */
+export function handleKeydown(context, event) {
+  if (event.altKey || event.ctrlKey || event.metaKey || event.shiftKey) return;
+
+  const { track, currentOptions, currentSlide, totalSlides } = context;
+
+  // Leave keys alone while editing form fields inside a slide
+  const target = event.target;
+  if (target !== track && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) {
+    return;
+  }
+
+  const isLooping = currentOptions.infinite || currentOptions.bounceBack;
+  const pageSize = getVisibleSlideCount(context);
+  const axis = getAxis(context);
+
+  switch (event.key) {
+  case axis.prevKey:
+    prev(context);
+    break;
+  case axis.nextKey:
+    next(context);
+    break;
+  case 'Home':
+    goToSlide(context, 0);
+    break;
+  case 'End':
+    goToSlide(context, getLastSlideIndex(context));
+    break;
+  case 'PageUp':
+    goToSlide(context, isLooping
+      ? ((currentSlide - pageSize) % totalSlides + totalSlides) % totalSlides
+      : Math.max(0, currentSlide - pageSize));
+    break;
+  case 'PageDown':
+    goToSlide(context, isLooping
+      ? (currentSlide + pageSize) % totalSlides
+      : Math.min(getLastSlideIndex(context), currentSlide + pageSize));
+    break;
+  default:
+    return;
+  }
+
+  event.preventDefault();
+
+  // Follow the change with focus once the track settles
+  context.focusActiveSlideOnSettle = true;
+  if (!context.isScrolling && context.targetSlide === null) {
+    focusActiveSlide(context);
+  }
+}
+
+/**
+ * Move focus to the slide in view, if focus is already inside the track
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function focusActiveSlide(context) {
+  context.focusActiveSlideOnSettle = false;
+
+  if (!context.track.contains(document.activeElement)) return;
+
+  const slide = getActiveSlideElement(context);
+  if (slide && slide !== document.activeElement) {
+    slide.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * Get the original element for the current slide. Clones are aria-hidden,
+ * so focus always lands on the original even when a clone is in view
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {HTMLElement|null} - The slide element
+ */
+export function getActiveSlideElement(context) {
+  return context.slides[context.currentSlide - context.virtualStart] || null;
+}
@@ -0,0 +1,536 @@
+/**
+ * Track and slide layout for NativeScrollSlider
+ *
+ * @module modules/layout
+ */
+
+import { addListener, calculateSlidePositions, injectStyles } from '../helpers/dom.js';
+import { calculateSlideWidth, calculateOverflowSlideWidth, applySlideWidths, applySlideHeights } from '../helpers/utils.js';
+import { getAxis, resolveRtl, getSlideOffset } from '../helpers/axis.js';
+import { emit } from './events.js';
+import { mergeConfig } from '../helpers/config.js';
+import { isDevelopment, validateConfig } from '../helpers/schema.js';
+import { runHook, resolveSchema } from './plugins.js';
+import { goToSlide, getLastSlideIndex, updateNavigation } from './navigation.js';
+import { setupDots, getPageCount } from './dots.js';
+import { removeClones } from './clones.js';
+import { setupTrueInfinite } from './infinite-scroll.js';
+import { isRecycling, canRecycle, setupRecycle, getRecyclePositions } from './recycle.js';
+import { setupBounceBack } from './bounce-back.js';
+import { setupSnap } from './snap.js';
+import { isVirtual, getVirtualPositions, updateVirtualLayout } from './virtual.js';
+import { updateSlideObserver } from './slides.js';
+import { setupResponsive, resolveResponsiveOptions } from './responsive.js';
+
+// Options only read when the slider is set up, which setOptions() can't change
+const SETUP_ONLY_KEYS = ['prevElement', 'nextElement', 'keyboard', 'accessibility', 'labels', 'plugins', 'virtual'];
+
+/**
+ * Setup basic track styles for scrolling along the slider's axis
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupTrackStyles(context) {
+  const { track, currentOptions } = context;
+
+  // An explicit rtl option overrides the direction inherited from the page
+  if (typeof currentOptions.rtl === 'boolean') {
+    if (context.inlineDirection === null) {
+      context.inlineDirection = track.style.direction;
+    }
+    track.style.direction = currentOptions.rtl ? 'rtl' : 'ltr';
+  } else if (context.inlineDirection !== null) {
+    // Back to the inherited direction, e.g. after setOptions({ rtl: null })
+    track.style.direction = context.inlineDirection;
+    context.inlineDirection = null;
+  }
+  context.isRtl = currentOptions.orientation !== 'vertical' && resolveRtl(context);
+
+  const axis = getAxis(context);
+
+  track.style.display = 'flex';
+  track.style.scrollBehavior = 'smooth';
+  track.style.scrollbarWidth = 'none';
+  track.style.msOverflowStyle = 'none';
+
+  if (axis.vertical) {
+    track.style.flexDirection = 'column';
+    track.style.overflowX = 'hidden';
+    track.style.overflowY = 'auto';
+  } else {
+    // Switching back from vertical, e.g. with setOptions()
+    if (track.style.flexDirection === 'column') {
+      resetVerticalStyles(context);
+    }
+    track.style.overflowX = 'auto';
+  }
+
+  // Setup or reset pull-to-right styles based on current options
+  if (context.currentOptions.showOverflow && !axis.vertical) {
+    setupPullToRightStyles(context);
+  } else {
+    resetPullToRightStyles(context);
+  }
+
+  // Hide webkit scrollbars
+  injectStyles();
+}
+
+/**
+ * Remove the styles a vertical slider sets on the track and slides
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function resetVerticalStyles(context) {
+  const { track, slides } = context;
+
+  track.style.flexDirection = '';
+  track.style.overflowY = '';
+  track.style.height = '';
+  track.style.paddingTop = '';
+  track.style.paddingBottom = '';
+
+  for (let i = 0; i < slides.length; i++) {
+    slides[i].style.height = '';
+  }
+}
+
+/**
+ * Setup pull-to-right styles to break out to viewport width
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupPullToRightStyles(context) {
+  const { container } = context;
+
+  // Break container out to full viewport width
+  container.style.width = '100vw';
+  container.style.position = 'relative';
+  container.style.left = '50%';
+  container.style.right = '50%';
+  container.style.marginLeft = '-50vw';
+  container.style.marginRight = '-50vw';
+
+  // Calculate left padding to maintain alignment with page content
+  updatePullToRightPadding(context);
+}
+
+/**
+ * Reset pull-to-right styles when disabled
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function resetPullToRightStyles(context) {
+  const { container, track } = context;
+
+  // Reset container styles
+  container.style.width = '';
+  container.style.position = '';
+  container.style.left = '';
+  container.style.right = '';
+  container.style.marginLeft = '';
+  container.style.marginRight = '';
+
+  // Reset track padding - it will be recalculated in setupSlides
+  track.style.paddingLeft = '';
+  track.style.paddingRight = '';
+
+  // Clear stored padding
+  context.pullToRightLeftPadding = 0;
+}
+
+/**
+ * Update pull-to-right padding based on viewport and container size
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updatePullToRightPadding(context) {
+  const { currentOptions, track } = context;
+
+  const axis = getAxis(context);
+
+  if (!currentOptions.showOverflow || axis.vertical) {
+    return;
+  }
+
+  const viewportWidth = window.innerWidth;
+  const { containerMaxWidth, basePadding } = currentOptions;
+
+  let leftPadding;
+
+  if (viewportWidth <= containerMaxWidth + (basePadding * 2)) {
+    // On smaller screens, just use base padding
+    leftPadding = basePadding;
+  } else {
+    // On larger screens, calculate padding to align with page content
+    leftPadding = Math.max(basePadding, (viewportWidth - containerMaxWidth) / 2 + basePadding);
+  }
+
+  // Apply the calculated padding, mirrored for right-to-left sliders
+  track.style[axis.paddingStart] = leftPadding + 'px';
+  track.style[axis.paddingEnd] = basePadding + 'px';
+
+  // Store the calculated padding for use in slide calculations
+  context.pullToRightLeftPadding = leftPadding;
+}
+
+/**
+ * Size the slides and rebuild clones for the looping modes
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupSlides(context) {
+  const { track, container, currentOptions } = context;
+
+  if (!track) {
+    console.error('setupSlides: track is null');
+    return;
+  }
+
+  track.style.gap = currentOptions.gap + 'px';
+
+  if (!container) {
+    console.error('setupSlides: container is null');
+    return;
+  }
+
+  let slideWidth;
+
+  if (getAxis(context).vertical) {
+    setupVerticalSlides(context);
+  } else if (currentOptions.showOverflow) {
+    // Handle pull-to-right mode, updating the padding first
+    updatePullToRightPadding(context);
+
+    // Use viewport width for calculations since container is now 100vw,
+    // accounting for the padding we applied
+    slideWidth = calculateOverflowSlideWidth({
+      effectiveWidth: window.innerWidth - context.pullToRightLeftPadding - currentOptions.basePadding,
+      slidesToShow: currentOptions.slidesToShow,
+      gap: currentOptions.gap,
+      overflowAmount: currentOptions.overflowAmount,
+      minSlideWidth: currentOptions.minSlideWidth
+    });
+  } else {
+    const dimensions = calculateSlideWidth({
+      containerWidth: container.offsetWidth,
+      slidesToShow: currentOptions.slidesToShow,
+      gap: currentOptions.gap,
+      minSlideWidth: currentOptions.minSlideWidth
+    });
+    slideWidth = dimensions.slideWidth;
+
+    // Apply padding to track
+    track.style.paddingLeft = dimensions.leftPadding + 'px';
+    track.style.paddingRight = dimensions.leftPadding + 'px';
+  }
+
+  if (slideWidth !== undefined) {
+    applySlideWidths(context.slides, slideWidth);
+  }
+
+  updateVirtualLayout(context);
+
+  context.layoutSize = measureLayout(context);
+
+  // Clones are rebuilt from the freshly sized originals
+  removeClones(context);
+
+  if ((currentOptions.infinite || currentOptions.bounceBack) && context.totalSlides > currentOptions.slidesToShow) {
+    if (currentOptions.infinite) {
+      // Too few slides to recycle fall back to clones
+      if (canRecycle(context)) {
+        setupRecycle(context);
+      } else {
+        setupTrueInfinite(context);
+      }
+    } else if (currentOptions.bounceBack) {
+      setupBounceBack(context);
+    }
+  }
+
+  setupSnap(context);
+}
+
+/**
+ * Size a vertical slider: every slide takes the height of the tallest one
+ * and the track fits slidesToShow of them
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupVerticalSlides(context) {
+  const { track, slides, currentOptions } = context;
+  const { slidesToShow, gap } = currentOptions;
+
+  track.style.paddingLeft = '';
+  track.style.paddingRight = '';
+  track.style.paddingTop = '0px';
+  track.style.paddingBottom = '0px';
+
+  // Measure the natural heights at the current width
+  for (let i = 0; i < slides.length; i++) {
+    slides[i].style.width = '';
+    slides[i].style.height = '';
+  }
+
+  let slideHeight = 0;
+  for (let i = 0; i < slides.length; i++) {
+    slideHeight = Math.max(slideHeight, slides[i].offsetHeight);
+  }
+
+  applySlideHeights(slides, slideHeight);
+  track.style.height = (slideHeight * slidesToShow + gap * (slidesToShow - 1)) + 'px';
+}
+
+/**
+ * Measure the scroll position of every rendered slide, including clones
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateSlidePositions(context) {
+  const axis = getAxis(context);
+  const leftPadding = parseFloat(context.track.style[axis.paddingStart]) || 0;
+  const slides = context.allSlides || context.slides;
+
+  if (isVirtual(context)) {
+    context.slidePositions = getVirtualPositions(context);
+    return;
+  }
+
+  if (isRecycling(context)) {
+    context.slidePositions = getRecyclePositions(context);
+    return;
+  }
+
+  // Right-to-left slides are measured from the right edge of the track
+  context.slidePositions = axis.rtl
+    ? slides.map((slide) => getSlideOffset(context, slide) - leftPadding)
+    : calculateSlidePositions(slides, leftPadding, axis.offset);
+}
+
+/**
+ * Re-run layout when the container, slides or viewport change size
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupResizeObserver(context) {
+  // Breakpoints and showOverflow padding follow the viewport width
+  addListener(context, window, 'resize', () => {
+    scheduleLayout(context);
+  });
+
+  // Vertical slides are fixed to the tallest one, so media loading inside them means measuring again
+  const remeasure = (event) => {
+    if (!getAxis(context).vertical || event.target.closest('.cloned')) return;
+
+    context.layoutSize = null;
+    scheduleLayout(context);
+  };
+  addListener(context, context.track, 'load', remeasure, true);
+  addListener(context, context.track, 'loadedmetadata', remeasure, true);
+
+  if (typeof ResizeObserver !== 'undefined') {
+    const observer = new ResizeObserver(() => {
+      scheduleLayout(context);
+    });
+    observer.observe(context.container);
+
+    // Virtual slides come and go with scrolling, and are sized from the container
+    if (!isVirtual(context)) {
+      context.slides.forEach((slide) => observer.observe(slide));
+    }
+    context.observers.push(observer);
+    context.resizeObserver = observer;
+  }
+}
+
+/**
+ * Coalesce layout requests into one animation frame
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function scheduleLayout(context) {
+  if (context.layoutFrame) return;
+
+  context.layoutFrame = requestAnimationFrame(() => {
+    context.layoutFrame = null;
+    if (needsLayout(context)) {
+      handleResize(context);
+    }
+  });
+}
+
+/**
+ * Cancel a layout scheduled by scheduleLayout
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function cancelLayout(context) {
+  if (context.layoutFrame) {
+    cancelAnimationFrame(context.layoutFrame);
+    context.layoutFrame = null;
+  }
+}
+
+/**
+ * Measure the sizes layout depends on
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {Object} - containerWidth and viewportWidth in pixels
+ */
+export function measureLayout(context) {
+  return {
+    containerWidth: context.container.offsetWidth,
+    viewportWidth: window.innerWidth
+  };
+}
+
+/**
+ * Check whether a size change affects layout
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+export function needsLayout(context) {
+  const size = measureLayout(context);
+  const { layoutSize } = context;
+
+  // Nothing to lay out while hidden, e.g. inside a display:none tab
+  if (size.containerWidth === 0) return false;
+
+  if (!layoutSize || size.containerWidth !== layoutSize.containerWidth) {
+    return true;
+  }
+
+  if (resolveResponsiveOptions(context).key !== context.breakpointKey) {
+    return true;
+  }
+
+  return context.currentOptions.showOverflow && size.viewportWidth !== layoutSize.viewportWidth;
+}
+
+/**
+ * Re-apply responsive settings and lay the slider out again
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function handleResize(context) {
+  // Store current responsive settings to detect changes
+  const previousOptions = context.currentOptions;
+  const previousBreakpoint = context.activeBreakpoint;
+  const previousBreakpointKey = context.breakpointKey;
+
+  // Update responsive settings first
+  setupResponsive(context);
+
+  const { currentOptions } = context;
+  const breakpointChanged = context.breakpointKey !== previousBreakpointKey;
+
+  runHook(context, 'onResize', {
+    previousOptions: previousOptions,
+    breakpointChanged: breakpointChanged
+  });
+
+  if (breakpointChanged) {
+    emit(context, 'breakpoint', {
+      breakpoint: context.activeBreakpoint,
+      previousBreakpoint: previousBreakpoint
+    });
+  }
+
+  // If pull-to-right setting changed, we need to reset styles
+  if (currentOptions.showOverflow !== previousOptions.showOverflow) {
+    setupTrackStyles(context); // This will apply or reset pull-to-right styles
+  } else if (currentOptions.showOverflow) {
+    // If still pull-to-right, just update padding
+    updatePullToRightPadding(context);
+  }
+
+  setupSlides(context);
+  updateSlidePositions(context);
+  updateSlideObserver(context);
+
+  // Rebuild pagination when the breakpoint changes the number of pages
+  if (breakpointChanged || context.dotButtons.length !== getPageCount(context)) {
+    setupDots(context);
+  }
+
+  if (currentOptions.slidesToShow !== previousOptions.slidesToShow) {
+    // If slidesToShow changed due to responsive breakpoint, reset to startSlide
+    goToSlide(context, currentOptions.startSlide || 0);
+  } else {
+    // If slidesToShow didn't change, stay on current slide but reposition it
+    goToSlide(context, context.currentSlide);
+  }
+
+  runHook(context, 'afterLayout', { initial: false });
+}
+
+/**
+ * Merge options into the slider's configuration and lay it out again,
+ * keeping the current slide
+ *
+ * @param {Object} context - Slider instance context
+ * @param {Object} options - The options to change
+ * @returns {void}
+ */
+export function setOptions(context, options = {}) {
+  const previousOptions = context.currentOptions;
+  const previousBreakpoint = context.activeBreakpoint;
+  const previousBreakpointKey = context.breakpointKey;
+
+  context.options = mergeConfig([context.options, options]);
+
+  // Keep the options through reinit()
+  context.passedOptions = mergeConfig([context.passedOptions, options], context.options.responsiveMerge);
+
+  // Dropped from production builds
+  if (isDevelopment()) {
+    validateConfig(context.options, context.totalSlides, resolveSchema(context.plugins));
+
+    Object.keys(options).filter((key) => SETUP_ONLY_KEYS.indexOf(key) !== -1).forEach((key) => {
+      console.warn('NativeScrollSlider: "' + key + '" is only read when the slider is set up, change it with reinit()');
+    });
+  }
+
+  setupResponsive(context);
+
+  runHook(context, 'onOptionsChange', {
+    previousOptions: previousOptions,
+    options: options
+  });
+
+  if (context.breakpointKey !== previousBreakpointKey) {
+    emit(context, 'breakpoint', {
+      breakpoint: context.activeBreakpoint,
+      previousBreakpoint: previousBreakpoint
+    });
+  }
+
+  // Fewer slides per view or leaving a looping mode can move the last reachable slide
+  context.currentSlide = Math.min(context.currentSlide, getLastSlideIndex(context));
+
+  // Rebuilt clones are positioned on the current slide
+  setupTrackStyles(context);
+  setupSlides(context);
+  updateSlidePositions(context);
+  setupDots(context);
+  updateNavigation(context);
+  updateSlideObserver(context);
+
+  goToSlide(context, context.currentSlide);
+
+  runHook(context, 'afterLayout', { initial: false });
+}
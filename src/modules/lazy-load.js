@@ -0,0 +1,259 @@
+/**
+ * Lazy loading of slide media for NativeScrollSlider
+ *
+ * Media declares its sources in data-src and data-srcset attributes, on the
+ * element itself or on the <source> elements of a <picture> or <video>.
+ * Loading state is kept in the lazy-loading, lazy-loaded and lazy-error
+ * classes of each slide and shared with its clones.
+ *
+ * @module modules/lazy-load
+ */
+
+import { addListener } from '../helpers/dom.js';
+import { emit } from './events.js';
+import { getVisibleSlideCount } from './navigation.js';
+import { isVirtual } from './virtual.js';
+
+// Elements whose sources are swapped in when their slide loads
+const LAZY_SELECTOR = '[data-src], [data-srcset]';
+
+/**
+ * Check whether a slide still has media waiting to load
+ *
+ * @param {HTMLElement} slide - The slide element
+ * @returns {boolean}
+ */
+export function hasLazyMedia(slide) {
+  return slide.matches(LAZY_SELECTOR) || !!slide.querySelector(LAZY_SELECTOR);
+}
+
+/**
+ * Check whether a slide has started or finished loading
+ *
+ * @param {HTMLElement} slide - The slide element
+ * @returns {boolean}
+ */
+function isLazyHandled(slide) {
+  return slide.classList.contains('lazy-loading') ||
+    slide.classList.contains('lazy-loaded') ||
+    slide.classList.contains('lazy-error');
+}
+
+/**
+ * Move data-src and data-srcset into place on an element and its descendants
+ *
+ * @param {HTMLElement} element - A slide or clone
+ * @returns {void}
+ */
+export function swapLazySources(element) {
+  const targets = Array.from(element.querySelectorAll(LAZY_SELECTOR));
+  if (element.matches(LAZY_SELECTOR)) {
+    targets.unshift(element);
+  }
+
+  const videos = [];
+
+  targets.forEach((target) => {
+    if (target.hasAttribute('data-srcset')) {
+      target.setAttribute('srcset', target.getAttribute('data-srcset'));
+      target.removeAttribute('data-srcset');
+    }
+
+    if (target.hasAttribute('data-src')) {
+      target.setAttribute('src', target.getAttribute('data-src'));
+      target.removeAttribute('data-src');
+    }
+
+    // Videos only pick up changed <source> elements when reloaded
+    const video = target.tagName === 'VIDEO' ? target : target.parentElement;
+    if (video && video.tagName === 'VIDEO' && target.tagName === 'SOURCE' && videos.indexOf(video) === -1) {
+      videos.push(video);
+    }
+  });
+
+  videos.forEach((video) => video.load());
+}
+
+/**
+ * Get a slide and every clone of it
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} index - The slide index
+ * @returns {Array<HTMLElement>} - The original first, then its clones
+ */
+function getSlideCopies(context, index) {
+  const original = context.slides[index];
+
+  return [original].concat((context.allSlides || []).filter((slide) =>
+    slide !== original && slide.dataset.originalIndex === String(index)
+  ));
+}
+
+/**
+ * Load the media of a slide and its clones
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} index - The slide index
+ * @returns {void}
+ */
+export function loadSlide(context, index) {
+  const original = context.slides[index];
+
+  if (!original || isLazyHandled(original) || !hasLazyMedia(original)) return;
+
+  getSlideCopies(context, index).forEach((slide) => {
+    slide.classList.add('lazy-loading');
+    swapLazySources(slide);
+  });
+
+  // Clones share the original's URLs, so its images speak for every copy
+  const images = Array.from(original.querySelectorAll('img'));
+  if (original.tagName === 'IMG') {
+    images.push(original);
+  }
+
+  let pending = 0;
+  let failed = false;
+
+  const finish = () => {
+    // Clones rebuilt while loading, e.g. on resize, are copies of the loading original
+    const current = context.slides.indexOf(original);
+    const copies = current === -1 ? [original] : getSlideCopies(context, current);
+
+    copies.forEach((slide) => {
+      slide.classList.remove('lazy-loading');
+      slide.classList.add(failed ? 'lazy-error' : 'lazy-loaded');
+    });
+
+    emit(context, failed ? 'lazyLoadError' : 'lazyLoaded', { index: index, slide: original });
+
+    if (context.currentOptions.lazyLoad === 'progressive') {
+      loadNextSlide(context);
+    }
+  };
+
+  images.forEach((image) => {
+    if (image.complete && image.getAttribute('src')) return;
+
+    pending++;
+
+    const settle = (event) => {
+      if (event.type === 'error') failed = true;
+      if (--pending === 0) finish();
+    };
+
+    addListener(context, image, 'load', settle, { once: true });
+    addListener(context, image, 'error', settle, { once: true });
+  });
+
+  if (pending === 0) {
+    finish();
+  }
+}
+
+/**
+ * Load the first slide, in order, that hasn't been loaded yet
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function loadNextSlide(context) {
+  const { slides } = context;
+
+  for (let i = 0; i < slides.length; i++) {
+    if (!isLazyHandled(slides[i]) && hasLazyMedia(slides[i])) {
+      loadSlide(context, i);
+      return;
+    }
+  }
+}
+
+/**
+ * Get the indexes of the slides to load around the current one: the visible
+ * slides and lazyLoadRange neighbours, plus a page either side when
+ * anticipating
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {Array<number>} - Slide indexes
+ */
+export function getLazyLoadRange(context) {
+  const { currentOptions, totalSlides } = context;
+  const visibleCount = getVisibleSlideCount(context);
+  const anchor = context.isInitialized ? context.currentSlide : currentOptions.startSlide;
+  const first = currentOptions.centerMode ? anchor - Math.floor(visibleCount / 2) : anchor;
+  let extra = Math.max(0, currentOptions.lazyLoadRange);
+
+  if (currentOptions.lazyLoad === 'anticipated') {
+    extra += visibleCount;
+  }
+
+  const isLooping = currentOptions.infinite || currentOptions.bounceBack;
+  const indexes = [];
+
+  for (let i = first - extra; i < first + visibleCount + extra; i++) {
+    const index = isLooping ? ((i % totalSlides) + totalSlides) % totalSlides : i;
+
+    if (index >= 0 && index < totalSlides && indexes.indexOf(index) === -1) {
+      indexes.push(index);
+    }
+  }
+
+  return indexes;
+}
+
+/**
+ * Load the slides in range of the current slide, and in progressive mode
+ * carry on through the rest
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateLazyLoad(context) {
+  const mode = context.currentOptions.lazyLoad;
+
+  // Virtual sliders only render the slides near the view anyway
+  if (!mode || isVirtual(context)) return;
+
+  getLazyLoadRange(context).forEach((index) => loadSlide(context, index));
+
+  const isLoading = context.slides.some((slide) => slide.classList.contains('lazy-loading'));
+  if (mode === 'progressive' && !isLoading) {
+    loadNextSlide(context);
+  }
+}
+
+/**
+ * Lazy loading plugin, registered by default with NativeScrollSlider but not
+ * NativeScrollSliderCore
+ */
+export const lazyLoadPlugin = {
+  name: 'lazyLoad',
+
+  /**
+   * Load the slides in view after every layout, and follow scrolling
+   *
+   * @param {Object} context - Slider instance context
+   * @param {Object} detail - Hook details
+   * @returns {void}
+   */
+  afterLayout(context, detail) {
+    if (detail.initial) {
+      // Slides arriving in view load while the track is still moving
+      addListener(context, context.track, 'scroll', () => {
+        updateLazyLoad(context);
+      }, { passive: true });
+    }
+
+    updateLazyLoad(context);
+  },
+
+  /**
+   * Load the slides around the new slide
+   *
+   * @param {Object} context - Slider instance context
+   * @returns {void}
+   */
+  onSlideChange(context) {
+    updateLazyLoad(context);
+  }
+};
@@ -4,8 +4,19 @@
  * @module modules/navigation
  */
 
+import { addListener } from '../helpers/dom.js';
 import { getActualSlidesToShow } from '../helpers/utils.js';
-import { findCurrentCenterSlideIndex, goToCenterSlide } from './infinite-scroll.js';
+import { getAxis, getViewportElement, getInnerSize, getScrollPosition, scrollToPosition } from '../helpers/axis.js';
+import { beginChange, settleChange } from './events.js';
+import { updateDots } from './dots.js';
+import { getBounceCloneCount } from './bounce-back.js';
+import { isRecycling } from './recycle.js';
+import {
+  findCurrentCenterSlideIndex,
+  goToCenterSlide,
+  goToInfiniteSlide,
+  beginInfiniteChange
+} from './infinite-scroll.js';
 
 /**
  * Setup navigation buttons and event listeners
@@ -15,13 +26,13 @@ import { findCurrentCenterSlideIndex, goToCenterSlide } from './infinite-scroll.
  */
 export function setupNavigation(context) {
   if (context.prevBtn) {
-    context.prevBtn.addEventListener('click', () => {
+    addListener(context, context.prevBtn, 'click', () => {
       prev(context);
     });
   }
 
   if (context.nextBtn) {
-    context.nextBtn.addEventListener('click', () => {
+    addListener(context, context.nextBtn, 'click', () => {
       next(context);
     });
   }
@@ -40,26 +51,69 @@ export function updateNavigation(context) {
 
   if (!prevBtn || !nextBtn) return;
 
-  // For infinite mode, buttons are always enabled
-  if (currentOptions.infinite) {
-    prevBtn.disabled = false;
-    nextBtn.disabled = false;
+  // For looping modes, buttons are always enabled
+  if (currentOptions.infinite || currentOptions.bounceBack) {
+    setButtonDisabled(context, prevBtn, false);
+    setButtonDisabled(context, nextBtn, false);
     return;
   }
 
-  if (currentOptions.bounceBack) {
-    prevBtn.disabled = false;
-    nextBtn.disabled = false;
-  } else {
-    prevBtn.disabled = currentSlide === 0;
+  setButtonDisabled(context, prevBtn, currentSlide === 0);
 
-    // Calculate the actual last scrollable position
-    const maxScroll = track.scrollWidth - track.clientWidth;
-    const currentScroll = track.scrollLeft;
+  // Calculate the actual last scrollable position
+  const axis = getAxis(context);
+  const maxScroll = track[axis.scrollSize] - track[axis.clientSize];
+  const currentScroll = getScrollPosition(context);
 
-    // Disable next if we can't scroll further right
-    // Add a small buffer (5px) to account for rounding errors
-    nextBtn.disabled = currentScroll >= maxScroll - 5;
+  // Disable next if we can't scroll further
+  // Add a small buffer (5px) to account for rounding errors
+  setButtonDisabled(context, nextBtn, currentScroll >= maxScroll - 5);
+}
+
+/**
+ * Set a navigation button's disabled state
+ *
+ * @param {Object} context - Slider instance context
+ * @param {HTMLElement} button - The navigation button
+ * @param {boolean} disabled - Whether the button is disabled
+ * @returns {void}
+ */
+export function setButtonDisabled(context, button, disabled) {
+  button.disabled = disabled;
+
+  // Non-button elements used as controls have no disabled property semantics
+  if (context.currentOptions.accessibility) {
+    button.setAttribute('aria-disabled', disabled ? 'true' : 'false');
+  }
+}
+
+/**
+ * Scroll an infinite track by slidesToScroll in either direction
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} direction - 1 for next, -1 for previous
+ * @returns {void}
+ */
+function scrollInfinite(context, direction) {
+  const { currentOptions, slides, totalSlides } = context;
+  const offset = currentOptions.slidesToScroll * direction;
+
+  beginInfiniteChange(context, offset);
+
+  if (currentOptions.centerMode) {
+    // For center mode, find the current center slide and center its neighbour
+    let index = findCurrentCenterSlideIndex(context) + offset;
+
+    // Recycled slides have no clones to run on into, the neighbour is in the loop
+    if (isRecycling(context)) {
+      index = (index % totalSlides + totalSlides) % totalSlides;
+    }
+
+    goToCenterSlide(context, index);
+  } else {
+    const slideWidth = slides[0][getAxis(context).size] + currentOptions.gap;
+
+    scrollToPosition(context, getScrollPosition(context) + slideWidth * offset);
   }
 }
 
@@ -70,29 +124,16 @@ export function updateNavigation(context) {
  * @returns {void}
  */
 export function next(context) {
-  const { currentOptions, slides, track, container, totalSlides, currentSlide } = context;
+  const { currentOptions, totalSlides, currentSlide } = context;
 
   // For infinite mode, just scroll by the specified amount
   if (currentOptions.infinite) {
-    const slideWidth = slides[0].offsetWidth + currentOptions.gap;
-    const scrollAmount = slideWidth * currentOptions.slidesToScroll;
-
-    if (currentOptions.centerMode) {
-      const currentCenterSlide = findCurrentCenterSlideIndex(context);
-      const nextCenterSlide = currentCenterSlide + currentOptions.slidesToScroll;
-      goToCenterSlide(context, nextCenterSlide);
-    } else {
-      track.scrollTo({
-        left: track.scrollLeft + scrollAmount,
-        behavior: 'smooth'
-      });
-    }
+    scrollInfinite(context, 1);
     return;
   }
 
-  const actualSlidesToShow = getActualSlidesToShow(container, slides, currentOptions.gap, currentOptions.slidesToShow);
+  const actualSlidesToShow = getVisibleSlideCount(context);
 
-  // Non-infinite mode logic
   let nextSlide;
   if (currentOptions.bounceBack) {
     nextSlide = (currentSlide + currentOptions.slidesToScroll) % totalSlides;
@@ -113,27 +154,14 @@ export function next(context) {
  * @returns {void}
  */
 export function prev(context) {
-  const { currentOptions, slides, track, currentSlide, totalSlides } = context;
+  const { currentOptions, currentSlide, totalSlides } = context;
 
   // For infinite mode, just scroll by the specified amount
   if (currentOptions.infinite) {
-    const slideWidth = slides[0].offsetWidth + currentOptions.gap;
-    const scrollAmount = slideWidth * currentOptions.slidesToScroll;
-
-    if (currentOptions.centerMode) {
-      const currentCenterSlide = findCurrentCenterSlideIndex(context);
-      const prevCenterSlide = currentCenterSlide - currentOptions.slidesToScroll;
-      goToCenterSlide(context, prevCenterSlide);
-    } else {
-      track.scrollTo({
-        left: track.scrollLeft - scrollAmount,
-        behavior: 'smooth'
-      });
-    }
+    scrollInfinite(context, -1);
     return;
   }
 
-  // Non-infinite mode logic
   let prevSlide;
   if (currentOptions.bounceBack) {
     prevSlide = currentSlide - currentOptions.slidesToScroll;
@@ -147,6 +175,40 @@ export function prev(context) {
   goToSlide(context, prevSlide);
 }
 
+/**
+ * Get the number of slides that fit in view, at most slidesToShow
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Number of slides
+ */
+export function getVisibleSlideCount(context) {
+  const { currentOptions, slides } = context;
+
+  return getActualSlidesToShow(
+    getViewportElement(context),
+    slides,
+    currentOptions.gap,
+    currentOptions.slidesToShow,
+    getAxis(context).size
+  );
+}
+
+/**
+ * Get the index of the last slide that can be navigated to
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Slide index
+ */
+export function getLastSlideIndex(context) {
+  const { currentOptions, totalSlides } = context;
+
+  if (currentOptions.infinite || currentOptions.bounceBack || currentOptions.centerMode) {
+    return totalSlides - 1;
+  }
+
+  return Math.max(0, totalSlides - getVisibleSlideCount(context));
+}
+
 /**
  * Go to a specific slide
  *
@@ -155,44 +217,50 @@ export function prev(context) {
  * @returns {void}
  */
 export function goToSlide(context, slideIndex) {
-  const { currentOptions, totalSlides, slidePositions, slides, container, track } = context;
+  const { currentOptions, totalSlides, slidePositions, slides, track } = context;
+  const axis = getAxis(context);
+
+  if (slideIndex < 0 || slideIndex >= totalSlides) return;
 
-  // For infinite mode, don't use goToSlide - just use next/prev buttons
+  // For infinite mode, scroll to the nearest copy of the slide instead
   if (currentOptions.infinite) {
+    goToInfiniteSlide(context, slideIndex);
     return;
   }
 
-  if (slideIndex < 0 || slideIndex >= totalSlides) return;
-
   let targetPosition;
 
   if (currentOptions.bounceBack) {
-    const cloneCount = Math.max(currentOptions.slidesToShow, 2);
-    targetPosition = slidePositions[cloneCount + slideIndex];
+    targetPosition = slidePositions[getBounceCloneCount(context) + slideIndex];
   } else {
     targetPosition = slidePositions[slideIndex];
   }
 
   if (currentOptions.centerMode) {
     // Get actual container dimensions accounting for padding
-    const containerStyles = window.getComputedStyle(container);
-    const containerPaddingLeft = parseFloat(containerStyles.paddingLeft) || 0;
-    const containerPaddingRight = parseFloat(containerStyles.paddingRight) || 0;
-    const containerInnerWidth = container.offsetWidth - containerPaddingLeft - containerPaddingRight;
+    const viewport = getInnerSize(getViewportElement(context), axis);
 
-    const slideWidth = slides[0].offsetWidth;
+    const slideWidth = slides[0][axis.size];
 
     // Center the slide within the container's inner width
-    targetPosition = targetPosition - (containerInnerWidth / 2) + (slideWidth / 2);
+    targetPosition = targetPosition - (viewport.size / 2) + (slideWidth / 2);
 
     // Account for container padding offset in scroll position
-    targetPosition = targetPosition - containerPaddingLeft;
+    targetPosition = targetPosition - viewport.paddingStart;
   }
 
-  track.scrollTo({
-    left: targetPosition,
-    behavior: 'smooth'
-  });
+  beginChange(context, slideIndex);
+  context.targetSlide = slideIndex;
+
+  scrollToPosition(context, targetPosition);
 
   context.currentSlide = slideIndex;
+  updateDots(context);
+
+  // No scroll event will follow if the track is already in place
+  const maxScroll = track[axis.scrollSize] - track[axis.clientSize];
+  const clampedPosition = Math.min(Math.max(targetPosition, 0), maxScroll);
+  if (Math.abs(getScrollPosition(context) - clampedPosition) < 1) {
+    settleChange(context);
+  }
 }
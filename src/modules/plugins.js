@@ -0,0 +1,83 @@
+/**
+ * Plugin support for NativeScrollSlider
+ *
+ * A plugin is an object with an optional `name` and any of the lifecycle
+ * hooks below. Each hook is called with the slider instance and a detail object.
+ *
+ * - beforeInit(slider): before the slider reads its responsive options and touches the DOM
+ * - afterLayout(slider, { initial }): after the slider is laid out, on init, after every resize, after setOptions() and when slides are added or removed
+ * - onSlideChange(slider, { previousSlide, currentSlide }): when the track settles on a different slide
+ * - onResize(slider, { previousOptions, breakpointChanged }): when a resize re-applies responsive options, before layout
+ * - onOptionsChange(slider, { previousOptions, options }): when setOptions() changes the options, before layout
+ * - onDestroy(slider): when destroy() is called, before the DOM is restored
+ *
+ * A plugin that reads its own options can describe them with a `schema` of
+ * option rules, so development builds don't report them as unknown.
+ *
+ * @module modules/plugins
+ */
+
+import { CONFIG_SCHEMA } from '../helpers/schema.js';
+
+/**
+ * Lifecycle hooks a plugin can implement
+ */
+export const PLUGIN_HOOKS = ['beforeInit', 'afterLayout', 'onSlideChange', 'onResize', 'onOptionsChange', 'onDestroy'];
+
+/**
+ * Combine globally registered plugins with the ones passed in options,
+ * skipping plugins that appear more than once
+ *
+ * @param {Array} registered - Plugins registered with NativeScrollSlider.use()
+ * @param {Array} [plugins] - Plugins from options.plugins
+ * @returns {Array} - Plugins in the order their hooks run
+ */
+export function resolvePlugins(registered, plugins = []) {
+  const resolved = [];
+
+  registered.concat(plugins || []).forEach((plugin) => {
+    if (!plugin || typeof plugin !== 'object') {
+      console.warn('NativeScrollSlider: ignoring invalid plugin', plugin);
+      return;
+    }
+
+    if (resolved.indexOf(plugin) === -1) {
+      resolved.push(plugin);
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Call a lifecycle hook on every plugin of a slider. A failing plugin is
+ * reported and skipped so it can't break the slider or other plugins
+ *
+ * @param {Object} context - Slider instance context
+ * @param {string} hook - The hook name, e.g. 'afterLayout'
+ * @param {Object} [detail] - Hook specific details
+ * @returns {void}
+ */
+export function runHook(context, hook, detail = {}) {
+  const plugins = context.plugins || [];
+
+  for (let i = 0; i < plugins.length; i++) {
+    if (typeof plugins[i][hook] !== 'function') continue;
+
+    try {
+      plugins[i][hook](context, detail);
+    } catch (e) {
+      console.error('NativeScrollSlider: plugin "' + (plugins[i].name || 'anonymous') + '" failed in ' + hook, e);
+    }
+  }
+}
+
+/**
+ * Combine the built-in option schema with the schemas of plugins
+ *
+ * @param {Array} plugins - Resolved plugins
+ * @returns {Object} - Schema rules, keyed by option name
+ */
+export function resolveSchema(plugins) {
+  return Object.assign({}, CONFIG_SCHEMA, ...plugins.map((plugin) => plugin.schema));
+}
@@ -0,0 +1,201 @@
+/**
+ * Clone-free infinite looping for NativeScrollSlider
+ *
+ * With `loopStrategy: 'recycle'` an infinite track keeps only its original
+ * slides. Spacers give the track a long scroll range that starts in the
+ * middle, and the flex order property arranges the slides in a block around
+ * the view, so a slide leaving one end comes back in at the other without
+ * moving in the DOM or changing the scroll position.
+ *
+ * @module modules/recycle
+ */
+
+import { createSpacer, sizeSpacers } from '../helpers/dom.js';
+import { getAxis, getViewportElement, getInnerSize, getScrollPosition, setScrollPosition } from '../helpers/axis.js';
+import { seamlessJump } from './infinite-scroll.js';
+
+// Scroll range of a recycling track in pixels, well under browser size limits
+const RECYCLE_LENGTH = 1000000;
+
+// Slides kept beyond those in view, to cover scrolling between scroll events
+const RECYCLE_MARGIN = 2;
+
+/**
+ * Check whether an infinite slider is looping by recycling its slides
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+export function isRecycling(context) {
+  return !!context.recycleSpacers;
+}
+
+/**
+ * Get the distance between the starts of neighbouring slides
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Pixels
+ */
+function getRecycleStep(context) {
+  return context.slides[0][getAxis(context).size] + context.currentOptions.gap;
+}
+
+/**
+ * Get the most slides that can be in view at once, counting partly visible ones
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} step - Distance between the starts of neighbouring slides
+ * @returns {number} - Number of slides
+ */
+function getSlotsInView(context, step) {
+  return Math.ceil(getViewportElement(context)[getAxis(context).size] / step) + 1;
+}
+
+/**
+ * Check whether an infinite slider can recycle its slides: it has to be asked
+ * to, and have enough slides to fill the view with some to spare
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+export function canRecycle(context) {
+  if (context.currentOptions.loopStrategy !== 'recycle') return false;
+
+  const step = getRecycleStep(context);
+
+  return step > 0 && context.totalSlides >= getSlotsInView(context, step) + RECYCLE_MARGIN;
+}
+
+/**
+ * Add the spacers, arrange the slides around the start slide and scroll to it
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupRecycle(context) {
+  const { track, slides, totalSlides, currentOptions } = context;
+  const step = getRecycleStep(context);
+
+  // A whole number of loops either side, so the middle slot holds the first slide
+  const loops = Math.max(2, Math.floor(RECYCLE_LENGTH / (2 * totalSlides * step)));
+
+  context.recycleStep = step;
+  context.recycleInView = getSlotsInView(context, step);
+  context.recycleSlots = loops * 2 * totalSlides;
+  context.recycleOrigin = loops * totalSlides;
+  context.recycleBase = null;
+
+  context.recycleSpacers = [createSpacer(), createSpacer()];
+  context.recycleSpacers[0].style.order = '-1';
+  context.recycleSpacers[1].style.order = String(totalSlides);
+  track.insertBefore(context.recycleSpacers[0], slides[0]);
+  track.appendChild(context.recycleSpacers[1]);
+
+  // Rebuilt layouts (e.g. after a resize) keep the slide the user was on
+  const startSlide = context.isInitialized ? context.currentSlide : currentOptions.startSlide;
+  let position = (context.recycleOrigin + startSlide) * step;
+
+  if (currentOptions.centerMode) {
+    const axis = getAxis(context);
+    position = position - (getInnerSize(track, axis).size / 2) + (slides[0][axis.size] / 2);
+  }
+
+  updateRecycledSlides(context, position);
+
+  track.style.scrollBehavior = 'auto';
+  setScrollPosition(context, position);
+  track.style.scrollBehavior = 'smooth';
+
+  context.currentSlide = startSlide;
+  context.infiniteScrollSetup = true;
+}
+
+/**
+ * Get the slot a slide fills in the block starting at recycleBase
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} index - The slide index
+ * @returns {number} - Slot index along the whole scroll range
+ */
+function getRecycleSlot(context, index) {
+  const { recycleBase, totalSlides } = context;
+
+  return recycleBase + ((index - recycleBase) % totalSlides + totalSlides) % totalSlides;
+}
+
+/**
+ * Calculate the scroll position of every slide in its current slot
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {Array<number>} - Slide positions
+ */
+export function getRecyclePositions(context) {
+  return context.slides.map((slide, i) => getRecycleSlot(context, i) * context.recycleStep);
+}
+
+/**
+ * Move the block of slides to centre on a scroll position. The slides in view
+ * keep their slots, so nothing on screen moves
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} [position] - Logical scroll position, defaults to the current one
+ * @returns {void}
+ */
+export function updateRecycledSlides(context, position = getScrollPosition(context)) {
+  if (!isRecycling(context)) return;
+
+  const { slides, totalSlides, recycleStep, recycleSlots, currentOptions } = context;
+  const spare = totalSlides - context.recycleInView;
+  const first = Math.floor(position / recycleStep) - Math.floor(spare / 2);
+  const base = Math.max(0, Math.min(first, recycleSlots - totalSlides));
+
+  if (base === context.recycleBase) return;
+
+  context.recycleBase = base;
+
+  for (let i = 0; i < totalSlides; i++) {
+    slides[i].style.order = String(getRecycleSlot(context, i) - base);
+  }
+
+  const after = recycleSlots - base - totalSlides;
+  sizeSpacers(context.recycleSpacers, base, after, recycleStep, currentOptions.gap, getAxis(context).dimension);
+
+  context.slidePositions = getRecyclePositions(context);
+}
+
+/**
+ * Once the track has scrolled half way to either end of its range, jump back
+ * by whole loops, which looks exactly the same
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function recentreRecycling(context) {
+  const { recycleBase, recycleOrigin, recycleStep, totalSlides } = context;
+
+  if (Math.abs(recycleBase - recycleOrigin) < recycleOrigin / 2) return;
+
+  const loops = Math.round((recycleBase - recycleOrigin) / totalSlides);
+  const position = getScrollPosition(context) - loops * totalSlides * recycleStep;
+
+  updateRecycledSlides(context, position);
+  seamlessJump(context, position);
+}
+
+/**
+ * Remove the spacers and the slides' order
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function removeRecycling(context) {
+  if (!isRecycling(context)) return;
+
+  context.recycleSpacers.forEach((spacer) => spacer.remove());
+  context.slides.forEach((slide) => {
+    slide.style.order = '';
+  });
+
+  context.recycleSpacers = null;
+  context.recycleBase = null;
+}
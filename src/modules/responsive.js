@@ -0,0 +1,60 @@
+/**
+ * Responsive breakpoints for NativeScrollSlider
+ *
+ * @module modules/responsive
+ */
+
+import { resolveResponsiveSettings } from '../helpers/config.js';
+
+/**
+ * Apply the options for the current breakpoint width
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupResponsive(context) {
+  const resolved = resolveResponsiveOptions(context);
+
+  context.currentOptions = resolved.options;
+  context.activeBreakpoint = resolved.breakpoint;
+  context.breakpointKey = resolved.key;
+}
+
+/**
+ * Resolve the options for the current breakpoint width
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {Object} - The merged options, the most specific matching breakpoint
+ *   (or null) and a key identifying the set of matching breakpoints
+ */
+export function resolveResponsiveOptions(context) {
+  const resolved = resolveResponsiveSettings(context.options, getBreakpointWidth(context));
+
+  // Virtual sliders have no clones to loop with
+  if (resolved.options.virtual) {
+    resolved.options.infinite = false;
+    resolved.options.bounceBack = false;
+  }
+
+  return resolved;
+}
+
+/**
+ * Get the width breakpoints are matched against
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Width in pixels
+ */
+export function getBreakpointWidth(context) {
+  const { options, currentOptions, container } = context;
+
+  if (options.breakpointBase !== 'container') {
+    return window.innerWidth;
+  }
+
+  // The showOverflow breakout sizes the container to the viewport, so measure the space it sits in
+  const isBrokenOut = currentOptions && currentOptions.showOverflow;
+  const element = isBrokenOut && container.parentElement ? container.parentElement : container;
+
+  return element.offsetWidth;
+}
@@ -0,0 +1,220 @@
+/**
+ * Scroll tracking for NativeScrollSlider
+ *
+ * @module modules/scroll
+ */
+
+import { addListener } from '../helpers/dom.js';
+import { getAxis, getViewportElement, getScrollPosition, getSlideOffset, getSlideIndexAtPosition } from '../helpers/axis.js';
+import { emit, beginChange, settleChange } from './events.js';
+import { updateNavigation } from './navigation.js';
+import { updateDots } from './dots.js';
+import { getBounceCloneCount, handleBounceBackScroll } from './bounce-back.js';
+import { handleInfiniteScroll, findCurrentInfiniteSlideIndex, getLogicalIndex } from './infinite-scroll.js';
+import { isRecycling, updateRecycledSlides } from './recycle.js';
+import { usesScrollEndEvent, isSnapEnabled, getSnapTargetIndex } from './snap.js';
+
+/**
+ * Track scrolling, looping infinite sliders and settling slide changes
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupScrollListener(context) {
+  const { track } = context;
+
+  addListener(context, track, 'scroll', () => {
+    if (!context.isScrolling) {
+      emit(context, 'scrollStart');
+    }
+
+    context.isScrolling = true;
+
+    // Recycled slides follow the view on every event, so none is ever missing
+    if (isRecycling(context)) {
+      updateRecycledSlides(context);
+    }
+
+    // Handle infinite scroll with debouncing
+    if (context.currentOptions.infinite) {
+      clearTimeout(context.infiniteScrollTimeout);
+      context.infiniteScrollTimeout = setTimeout(() => {
+        handleInfiniteScroll(context);
+      }, 50); // Quick response for seamless experience
+    }
+
+    // Without scrollend, the scroll is over once events stop for a moment
+    clearTimeout(context.scrollTimeout);
+    if (!usesScrollEndEvent(context)) {
+      context.scrollTimeout = setTimeout(() => {
+        endScroll(context);
+      }, 150);
+    }
+
+    updateCurrentSlideFromScroll(context);
+  }, { passive: true });
+
+  addListener(context, track, 'scrollend', () => {
+    if (!usesScrollEndEvent(context)) return;
+
+    updateCurrentSlideFromScroll(context);
+    endScroll(context);
+  });
+
+  // Browsers with scrollsnapchange report the slide they snapped to
+  addListener(context, track, 'scrollsnapchange', (event) => {
+    handleSnapChange(context, event);
+  });
+}
+
+/**
+ * Finish a scroll: emit scrollEnd and settle the slide change
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function endScroll(context) {
+  clearTimeout(context.scrollTimeout);
+
+  if (!context.isScrolling) return;
+
+  context.isScrolling = false;
+  emit(context, 'scrollEnd');
+  settleChange(context);
+}
+
+/**
+ * Update the current slide from the slide the browser snapped to
+ *
+ * @param {Object} context - Slider instance context
+ * @param {Event} event - The scrollsnapchange event
+ * @returns {void}
+ */
+export function handleSnapChange(context, event) {
+  if (!isSnapEnabled(context)) return;
+
+  const slideIndex = getSnapTargetIndex(context, event);
+  if (slideIndex === -1) return;
+
+  setCurrentSlideFromScroll(context, slideIndex);
+  updateNavigation(context);
+  updateDots(context);
+  updateCenterMode(context);
+}
+
+/**
+ * Update the current slide from the scroll position
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateCurrentSlideFromScroll(context) {
+  const { currentOptions } = context;
+
+  // For infinite mode, track the original slide behind whichever clone is in view
+  if (currentOptions.infinite) {
+    if (context.infiniteScrollSetup) {
+      setCurrentSlideFromScroll(context, getLogicalIndex(context, findCurrentInfiniteSlideIndex(context)));
+    }
+    updateDots(context);
+    updateCenterMode(context);
+    return;
+  }
+
+  const closestSlide = getSlideIndexAtPosition(context);
+
+  if (currentOptions.bounceBack && context.allSlides) {
+    const cloneCount = getBounceCloneCount(context);
+    if (closestSlide >= cloneCount && closestSlide < cloneCount + context.totalSlides) {
+      setCurrentSlideFromScroll(context, closestSlide - cloneCount);
+    }
+  } else {
+    setCurrentSlideFromScroll(context, closestSlide);
+  }
+
+  updateNavigation(context);
+  updateDots(context);
+  updateCenterMode(context);
+}
+
+/**
+ * Update the current slide from a user scroll, starting a change if it moved
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} slideIndex - The logical index of the slide in view
+ * @returns {void}
+ */
+export function setCurrentSlideFromScroll(context, slideIndex) {
+  // Programmatic navigation has already announced its own change
+  if (context.targetSlide === null && slideIndex !== context.currentSlide) {
+    beginChange(context, slideIndex);
+  }
+
+  context.currentSlide = slideIndex;
+}
+
+/**
+ * Handle the scroll end
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function handleScrollEnd(context) {
+  if (context.currentOptions.bounceBack) {
+    handleBounceBackScroll(context);
+  } else if (context.currentOptions.infinite) {
+    handleInfiniteScroll(context);
+  }
+}
+
+/**
+ * Mark the centered slide with the `center` class
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateCenterMode(context) {
+  const { currentOptions } = context;
+
+  if (!currentOptions.centerMode) return;
+
+  const slidesToUse = context.allSlides || context.slides;
+  for (let i = 0; i < slidesToUse.length; i++) {
+    slidesToUse[i].classList.remove('center');
+  }
+
+  let centerSlideIndex;
+  if (currentOptions.bounceBack) {
+    centerSlideIndex = getBounceCloneCount(context) + context.currentSlide;
+  } else if (currentOptions.infinite) {
+    const axis = getAxis(context);
+    const scrollLeft = getScrollPosition(context);
+    const containerWidth = getViewportElement(context)[axis.size];
+    const centerPoint = scrollLeft + (containerWidth / 2);
+
+    let closestSlide = null;
+    let closestDistance = Infinity;
+
+    for (let i = 0; i < slidesToUse.length; i++) {
+      const slide = slidesToUse[i];
+      const slideCenter = getSlideOffset(context, slide) + (slide[axis.size] / 2);
+      const distance = Math.abs(centerPoint - slideCenter);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestSlide = slide;
+      }
+    }
+
+    if (closestSlide) {
+      closestSlide.classList.add('center');
+    }
+    return;
+  } else {
+    // Virtual sliders only render the slides from virtualStart on
+    centerSlideIndex = context.currentSlide - context.virtualStart;
+  }
+
+  if (slidesToUse[centerSlideIndex]) {
+    slidesToUse[centerSlideIndex].classList.add('center');
+  }
+}
@@ -0,0 +1,283 @@
+/**
+ * Adding, removing and observing slides for NativeScrollSlider
+ *
+ * @module modules/slides
+ */
+
+import { captureElementState, restoreElementState } from '../helpers/dom.js';
+import { runHook } from './plugins.js';
+import { goToSlide, getLastSlideIndex, updateNavigation } from './navigation.js';
+import { setupDots } from './dots.js';
+import { removeClones } from './clones.js';
+import { labelSlides } from './accessibility.js';
+import { setupKeyboardSlides } from './keyboard.js';
+import { setupSlides, updateSlidePositions } from './layout.js';
+import { isVirtual, renderVirtualSlides, setVirtualItems } from './virtual.js';
+
+/**
+ * Turn an HTML string into an element
+ *
+ * @param {HTMLElement|string} slide - The slide element or its HTML
+ * @returns {HTMLElement|null} - The slide element
+ */
+export function toSlideElement(slide) {
+  if (typeof slide !== 'string') {
+    return slide instanceof HTMLElement ? slide : null;
+  }
+
+  const template = document.createElement('template');
+  template.innerHTML = slide.trim();
+
+  return template.content.firstElementChild;
+}
+
+/**
+ * Insert a slide before the slide at index, or after the last slide
+ *
+ * @param {Object} context - Slider instance context
+ * @param {HTMLElement|string|*} slide - The slide element or its HTML, or an item for virtual sliders
+ * @param {number} [index] - The index the slide will have
+ * @returns {void}
+ */
+export function addSlide(context, slide, index = context.totalSlides) {
+  if (isVirtual(context)) {
+    const items = context.virtualItems.slice();
+    const at = Math.min(Math.max(0, index), items.length);
+
+    items.splice(at, 0, slide);
+
+    // Stay on the same item, as for elements
+    if (at <= context.currentSlide) {
+      context.currentSlide++;
+    }
+
+    setVirtualItems(context, items);
+    refreshSlides(context);
+    return;
+  }
+
+  const element = toSlideElement(slide);
+
+  if (!element) {
+    console.warn('NativeScrollSlider: invalid slide', slide);
+    return;
+  }
+
+  const { track, slides } = context;
+  const reference = slides[Math.max(0, index)];
+
+  if (reference) {
+    track.insertBefore(element, reference);
+  } else {
+    // After the last original, ahead of any trailing clones
+    track.insertBefore(element, slides[slides.length - 1].nextSibling);
+  }
+
+  refreshSlides(context);
+}
+
+/**
+ * Remove the slide at index
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} index - The index of the slide to remove
+ * @returns {void}
+ */
+export function removeSlide(context, index) {
+  const slide = isVirtual(context) ? context.virtualItems[index] : context.slides[index];
+
+  if (slide === undefined) {
+    console.warn('NativeScrollSlider: no slide at index', index);
+    return;
+  }
+
+  if (context.totalSlides === 1) {
+    console.warn('NativeScrollSlider: cannot remove the last slide');
+    return;
+  }
+
+  if (isVirtual(context)) {
+    const items = context.virtualItems.slice();
+
+    items.splice(index, 1);
+
+    if (index < context.currentSlide) {
+      context.currentSlide--;
+    }
+
+    setVirtualItems(context, items);
+  } else {
+    slide.remove();
+  }
+
+  refreshSlides(context);
+}
+
+/**
+ * Replace every slide
+ *
+ * @param {Object} context - Slider instance context
+ * @param {Array<HTMLElement|string|*>} list - The new slide elements or their HTML, or items for virtual sliders
+ * @returns {void}
+ */
+export function replaceSlides(context, list) {
+  if (isVirtual(context)) {
+    if (!list || !list.length) {
+      console.warn('NativeScrollSlider: replaceSlides needs at least one slide');
+      return;
+    }
+
+    setVirtualItems(context, list);
+    refreshSlides(context);
+    return;
+  }
+
+  const elements = Array.from(list || []).map(toSlideElement).filter(Boolean);
+
+  if (elements.length === 0) {
+    console.warn('NativeScrollSlider: replaceSlides needs at least one slide');
+    return;
+  }
+
+  removeClones(context);
+  context.slides.forEach((slide) => slide.remove());
+  elements.forEach((element) => context.track.appendChild(element));
+
+  refreshSlides(context);
+}
+
+/**
+ * Re-read the slides from the track, or render them again from the items of a
+ * virtual slider, and rebuild clones, positions and pagination, staying on
+ * the current slide if it is still there
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function refreshSlides(context) {
+  if (isVirtual(context)) {
+    context.currentSlide = Math.min(context.currentSlide, getLastSlideIndex(context));
+    renderVirtualSlides(context, true);
+  } else if (!readSlides(context)) {
+    return;
+  }
+
+  setupSlides(context);
+  updateSlidePositions(context);
+  setupDots(context);
+  updateNavigation(context);
+
+  goToSlide(context, context.currentSlide);
+
+  runHook(context, 'afterLayout', { initial: false });
+
+  // Drop the records of our own clone changes
+  if (context.slideObserver) {
+    context.slideObserver.takeRecords();
+  }
+}
+
+/**
+ * Re-read the slides from the track, keeping the original state used by
+ * destroy() and the resize observer in step
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean} - false if the track has no slides
+ */
+function readSlides(context) {
+  const { track, originalState } = context;
+  const activeSlide = context.slides[context.currentSlide];
+
+  removeClones(context);
+
+  context.slides = Array.from(track.children);
+  context.totalSlides = context.slides.length;
+
+  if (context.totalSlides === 0) {
+    console.error('NativeScrollSlider: no slides found in track', track);
+    return false;
+  }
+
+  const activeIndex = context.slides.indexOf(activeSlide);
+  context.currentSlide = activeIndex === -1
+    ? Math.min(context.currentSlide, getLastSlideIndex(context))
+    : activeIndex;
+
+  // Give removed slides back their original attributes and snapshot new ones for destroy()
+  if (originalState) {
+    const fixed = [context.container, track, context.prevBtn, context.nextBtn];
+
+    originalState.elements = originalState.elements.filter((entry) => {
+      if (fixed.indexOf(entry.element) !== -1 || context.slides.indexOf(entry.element) !== -1) {
+        return true;
+      }
+
+      restoreElementState(entry);
+      return false;
+    });
+
+    const captured = originalState.elements.map((entry) => entry.element);
+    context.slides.forEach((slide) => {
+      if (captured.indexOf(slide) === -1) {
+        originalState.elements.push(captureElementState(slide));
+      }
+    });
+  }
+
+  if (context.resizeObserver) {
+    context.slides.forEach((slide) => context.resizeObserver.observe(slide));
+  }
+
+  labelSlides(context);
+  setupKeyboardSlides(context);
+
+  return true;
+}
+
+/**
+ * Refresh the slider when slides are added to or removed from the track
+ * directly, e.g. by a framework rendering the list
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupSlideObserver(context) {
+  // Virtual sliders render the track themselves
+  if (context.slideObserver || !context.currentOptions.observeSlides || isVirtual(context) || typeof MutationObserver === 'undefined') return;
+
+  const isSlide = (node) => node.nodeType === 1 && !node.classList.contains('cloned') && !node.classList.contains('slider-spacer');
+
+  const observer = new MutationObserver((records) => {
+    const changed = records.some((record) =>
+      Array.from(record.addedNodes).some(isSlide) || Array.from(record.removedNodes).some(isSlide)
+    );
+
+    if (changed) {
+      refreshSlides(context);
+    }
+  });
+
+  observer.observe(context.track, { childList: true });
+  context.observers.push(observer);
+  context.slideObserver = observer;
+}
+
+/**
+ * Start or stop observing the track when observeSlides changes, e.g. with
+ * setOptions() or at a breakpoint
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateSlideObserver(context) {
+  if (context.currentOptions.observeSlides) {
+    setupSlideObserver(context);
+    return;
+  }
+
+  if (!context.slideObserver) return;
+
+  context.slideObserver.disconnect();
+  context.observers = context.observers.filter((observer) => observer !== context.slideObserver);
+  context.slideObserver = null;
+}
@@ -0,0 +1,113 @@
+/**
+ * Native CSS scroll snapping for NativeScrollSlider
+ *
+ * @module modules/snap
+ */
+
+import { getAxis } from '../helpers/axis.js';
+import { getLogicalIndex } from './infinite-scroll.js';
+
+/**
+ * Check whether the slider uses native scroll snapping
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+export function isSnapEnabled(context) {
+  const { snap } = context.currentOptions;
+
+  return !!snap && snap !== 'none';
+}
+
+/**
+ * Check whether scroll ends are reported by the scrollend event rather than
+ * detected with a timeout
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+export function usesScrollEndEvent(context) {
+  return isSnapEnabled(context) && 'onscrollend' in window;
+}
+
+/**
+ * Get the scroll-snap-align value for the slides
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {string} - 'start' or 'center'
+ */
+export function getSnapAlign(context) {
+  const { snap, centerMode } = context.currentOptions;
+
+  return centerMode || snap === 'center' ? 'center' : 'start';
+}
+
+/**
+ * Apply scroll-snap styles to the track and every rendered slide. Only every
+ * slidesToScroll-th slide is a snap point, and scroll-snap-stop keeps a
+ * swipe from skipping past the next one
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupSnap(context) {
+  const { track, currentOptions } = context;
+  const slidesToUse = context.allSlides || context.slides;
+
+  if (!isSnapEnabled(context)) {
+    resetSnapStyles(context);
+    return;
+  }
+
+  const axis = getAxis(context);
+  const strictness = currentOptions.snap === 'proximity' ? 'proximity' : 'mandatory';
+  const align = getSnapAlign(context);
+  const step = Math.max(1, currentOptions.slidesToScroll);
+
+  track.style.scrollSnapType = (axis.vertical ? 'y ' : 'x ') + strictness;
+
+  // Snap to the track's content edge, not its padding edge
+  track.style.scrollPaddingLeft = track.style.paddingLeft;
+  track.style.scrollPaddingRight = track.style.paddingRight;
+
+  for (let i = 0; i < slidesToUse.length; i++) {
+    const isSnapPoint = getLogicalIndex(context, i) % step === 0;
+
+    slidesToUse[i].style.scrollSnapAlign = isSnapPoint ? align : 'none';
+    slidesToUse[i].style.scrollSnapStop = isSnapPoint ? 'always' : '';
+  }
+}
+
+/**
+ * Remove the scroll-snap styles set by setupSnap
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function resetSnapStyles(context) {
+  const { track } = context;
+  const slidesToUse = context.allSlides || context.slides;
+
+  track.style.scrollSnapType = '';
+  track.style.scrollPaddingLeft = '';
+  track.style.scrollPaddingRight = '';
+
+  for (let i = 0; i < slidesToUse.length; i++) {
+    slidesToUse[i].style.scrollSnapAlign = '';
+    slidesToUse[i].style.scrollSnapStop = '';
+  }
+}
+
+/**
+ * Get the logical index of the slide the browser snapped to
+ *
+ * @param {Object} context - Slider instance context
+ * @param {Event} event - The scrollsnapchange event
+ * @returns {number} - Slide index, or -1 if the target isn't a slide
+ */
+export function getSnapTargetIndex(context, event) {
+  const target = getAxis(context).vertical ? event.snapTargetBlock : event.snapTargetInline;
+  const index = (context.allSlides || context.slides).indexOf(target);
+
+  return index === -1 ? -1 : getLogicalIndex(context, index);
+}
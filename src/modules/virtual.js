@@ -0,0 +1,266 @@
+/**
+ * Virtual rendering for NativeScrollSlider
+ *
+ * Virtual sliders render slides from a data source with renderSlide(item,
+ * index) and keep only the slides in view, plus a buffer, in the DOM.
+ * Spacers before and after the rendered slides keep the native scroll length,
+ * and slide positions are calculated from the slide size and gap.
+ *
+ * @module modules/virtual
+ */
+
+import { applySlideWidths, applySlideHeights } from '../helpers/utils.js';
+import { addListener, createSpacer, sizeSpacers } from '../helpers/dom.js';
+import { getAxis, getViewportElement, getScrollPosition } from '../helpers/axis.js';
+import { labelSlides } from './accessibility.js';
+import { setupKeyboardSlides } from './keyboard.js';
+import { setupSnap } from './snap.js';
+import { toSlideElement } from './slides.js';
+
+/**
+ * Check whether a slider renders its slides virtually
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+export function isVirtual(context) {
+  return !!context.virtualItems;
+}
+
+/**
+ * Read the items of a virtual option
+ *
+ * @param {Object} virtual - The virtual option
+ * @returns {Array} - A copy of the items
+ */
+export function getVirtualItems(virtual) {
+  if (typeof virtual.renderSlide !== 'function') {
+    console.error('NativeScrollSlider: virtual sliders need a renderSlide function');
+    return [];
+  }
+
+  return Array.from(virtual.items || []);
+}
+
+/**
+ * Create the spacers and render the slides around the start slide. Children
+ * already in the track are set aside until destroy()
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupVirtual(context) {
+  if (!isVirtual(context)) return;
+
+  const { track } = context;
+
+  context.virtualChildren = Array.from(track.children);
+  context.virtualChildren.forEach((child) => child.remove());
+
+  context.virtualSpacers = [createSpacer(), createSpacer()];
+  context.virtualSpacers.forEach((spacer) => track.appendChild(spacer));
+  context.virtualSlideSize = 0;
+
+  renderVirtualSlides(context, true);
+
+  addListener(context, track, 'scroll', () => {
+    renderVirtualSlides(context);
+  }, { passive: true });
+}
+
+/**
+ * Remove the rendered slides and spacers, and put back the original children
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function removeVirtualSlides(context) {
+  if (!isVirtual(context) || !context.virtualSpacers) return;
+
+  context.slides.forEach((slide) => slide.remove());
+  context.virtualSpacers.forEach((spacer) => spacer.remove());
+  context.virtualChildren.forEach((child) => context.track.appendChild(child));
+
+  context.slides = [];
+  context.virtualSpacers = null;
+  context.virtualChildren = [];
+}
+
+/**
+ * Get the distance between the starts of neighbouring slides
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {number} - Pixels, or 0 before the slides are measured
+ */
+function getVirtualStep(context) {
+  return context.virtualSlideSize ? context.virtualSlideSize + context.currentOptions.gap : 0;
+}
+
+/**
+ * Calculate the scroll position of every slide
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {Array<number>} - Slide positions
+ */
+export function getVirtualPositions(context) {
+  const step = getVirtualStep(context);
+  const positions = [];
+
+  for (let i = 0; i < context.totalSlides; i++) {
+    positions.push(i * step);
+  }
+
+  return positions;
+}
+
+/**
+ * Get the first and last index of the slides to render: those in view plus
+ * the buffer, which defaults to a page either side
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {Object} - start and end indexes
+ */
+export function getVirtualRange(context) {
+  const { currentOptions, totalSlides } = context;
+  const step = getVirtualStep(context);
+  const buffer = typeof currentOptions.virtual.buffer === 'number'
+    ? Math.max(0, currentOptions.virtual.buffer)
+    : currentOptions.slidesToShow;
+
+  let first = context.isInitialized ? context.currentSlide : currentOptions.startSlide;
+  let count = currentOptions.slidesToShow;
+
+  // Once measured, follow the scroll position rather than the current slide
+  if (step) {
+    first = Math.floor(getScrollPosition(context) / step);
+    count = Math.ceil(getViewportElement(context)[getAxis(context).size] / step) + 1;
+  }
+
+  return {
+    start: Math.max(0, Math.min(first - buffer, totalSlides - 1)),
+    end: Math.min(totalSlides - 1, Math.max(0, first + count + buffer))
+  };
+}
+
+/**
+ * Render the slides in range, reusing the ones already rendered, and size the
+ * spacers to stand in for the rest
+ *
+ * @param {Object} context - Slider instance context
+ * @param {boolean} [force] - Update even if the range hasn't changed
+ * @returns {boolean} - Whether the rendered slides changed
+ */
+export function renderVirtualSlides(context, force = false) {
+  if (!isVirtual(context) || !context.virtualSpacers) return false;
+
+  const { start, end } = getVirtualRange(context);
+  const previousStart = context.virtualStart;
+
+  if (!force && start === previousStart && start + context.slides.length - 1 === end) {
+    return false;
+  }
+
+  const { track } = context;
+  const rendered = context.slides;
+  const slides = [];
+
+  for (let i = start; i <= end; i++) {
+    slides.push(rendered[i - previousStart] || createVirtualSlide(context, i));
+  }
+
+  rendered.forEach((slide) => {
+    if (slides.indexOf(slide) === -1) {
+      slide.remove();
+    }
+  });
+
+  // Only move slides that are out of place, so focus inside kept slides survives
+  let reference = context.virtualSpacers[0];
+  slides.forEach((slide) => {
+    if (reference.nextSibling !== slide) {
+      track.insertBefore(slide, reference.nextSibling);
+    }
+    reference = slide;
+  });
+
+  context.slides = slides;
+  context.virtualStart = start;
+
+  sizeVirtualSlides(context);
+  labelSlides(context);
+  setupKeyboardSlides(context);
+  setupSnap(context);
+
+  return true;
+}
+
+/**
+ * Render one slide from its item
+ *
+ * @param {Object} context - Slider instance context
+ * @param {number} index - The slide index
+ * @returns {HTMLElement} - The slide element
+ */
+function createVirtualSlide(context, index) {
+  const { renderSlide } = context.currentOptions.virtual;
+  const slide = toSlideElement(renderSlide(context.virtualItems[index], index)) || document.createElement('div');
+
+  // Read back by getLogicalIndex, as for clones
+  slide.dataset.originalIndex = index;
+
+  return slide;
+}
+
+/**
+ * Give the rendered slides the measured slide size and size the spacers
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function sizeVirtualSlides(context) {
+  const { slides, virtualSpacers, virtualSlideSize, virtualStart, totalSlides } = context;
+  const axis = getAxis(context);
+  const step = getVirtualStep(context);
+
+  if (virtualSlideSize) {
+    if (axis.vertical) {
+      applySlideHeights(slides, virtualSlideSize);
+    } else {
+      applySlideWidths(slides, virtualSlideSize);
+    }
+  }
+
+  const after = totalSlides - virtualStart - slides.length;
+
+  sizeSpacers(virtualSpacers, virtualStart, after, step, context.currentOptions.gap, axis.dimension);
+}
+
+/**
+ * Measure the slide size after layout and render the slides for it
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function updateVirtualLayout(context) {
+  if (!isVirtual(context) || !context.slides.length) return;
+
+  context.virtualSlideSize = context.slides[0][getAxis(context).size];
+  renderVirtualSlides(context, true);
+}
+
+/**
+ * Replace the items of a virtual slider
+ *
+ * @param {Object} context - Slider instance context
+ * @param {Array} items - The new items
+ * @returns {void}
+ */
+export function setVirtualItems(context, items) {
+  context.virtualItems = Array.from(items);
+  context.totalSlides = context.virtualItems.length;
+
+  // Items at the same index may have changed, so render every slide again
+  context.slides.forEach((slide) => slide.remove());
+  context.slides = [];
+  context.virtualStart = 0;
+}
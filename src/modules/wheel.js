@@ -0,0 +1,215 @@
+/**
+ * Mouse wheel and trackpad handling for NativeScrollSlider
+ *
+ * @module modules/wheel
+ */
+
+import { addListener } from '../helpers/dom.js';
+import { getAxis, getScrollPosition, setScrollPosition } from '../helpers/axis.js';
+import { next, prev, getLastSlideIndex } from './navigation.js';
+
+// Pixels per line for wheels that report deltaMode DOM_DELTA_LINE
+const LINE_HEIGHT = 16;
+
+// A gesture has ended once no wheel events arrive for this long
+const GESTURE_GAP = 200;
+
+// Pixels a gesture has to travel before it turns the page
+const PAGE_THRESHOLD = 30;
+
+/**
+ * Listen for wheel events on the track
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {void}
+ */
+export function setupWheel(context) {
+  context.wheelGesture = null;
+  context.wheelTimeout = null;
+
+  // Not passive: the slider may claim the wheel from the page
+  addListener(context, context.track, 'wheel', (event) => {
+    handleWheel(context, event);
+  }, { passive: false });
+}
+
+/**
+ * Convert a wheel event's deltas to pixels
+ *
+ * @param {WheelEvent} event - The wheel event
+ * @param {HTMLElement} track - The track element
+ * @returns {Object} - x and y deltas in pixels
+ */
+export function normalizeWheelDelta(event, track) {
+  if (event.deltaMode === 1) {
+    return { x: event.deltaX * LINE_HEIGHT, y: event.deltaY * LINE_HEIGHT };
+  }
+
+  if (event.deltaMode === 2) {
+    return { x: event.deltaX * track.clientWidth, y: event.deltaY * window.innerHeight };
+  }
+
+  return { x: event.deltaX, y: event.deltaY };
+}
+
+/**
+ * Get the wheel movement towards the end of the slider, in pixels. The
+ * dominant direction of the gesture wins; scrolling down always moves forward
+ *
+ * @param {Object} context - Slider instance context
+ * @param {WheelEvent} event - The wheel event
+ * @returns {Object} - delta, and whether it came from the vertical wheel
+ */
+function getWheelMovement(context, event) {
+  const delta = normalizeWheelDelta(event, context.track);
+
+  if (Math.abs(delta.y) >= Math.abs(delta.x)) {
+    return { delta: delta.y, fromVertical: true };
+  }
+
+  // Right-to-left tracks move forward when scrolled to the left
+  return { delta: getAxis(context).rtl ? -delta.x : delta.x, fromVertical: false };
+}
+
+/**
+ * Route a wheel event according to the wheel option
+ *
+ * @param {Object} context - Slider instance context
+ * @param {WheelEvent} event - The wheel event
+ * @returns {void}
+ */
+export function handleWheel(context, event) {
+  const mode = context.currentOptions.wheel;
+
+  // Pinch zoom arrives as a wheel event with ctrlKey
+  if (mode === 'native' || !mode || event.ctrlKey) return;
+
+  if (mode === 'page') {
+    handlePageWheel(context, event);
+  } else if (mode === 'horizontal') {
+    handleHorizontalWheel(context, event);
+  }
+}
+
+/**
+ * Scroll a horizontal track with the vertical wheel, handing the wheel back
+ * to the page at either end. Looping sliders keep moving the track away from
+ * its ends, so they keep the vertical wheel while the pointer is over it
+ *
+ * @param {Object} context - Slider instance context
+ * @param {WheelEvent} event - The wheel event
+ * @returns {void}
+ */
+export function handleHorizontalWheel(context, event) {
+  const { track } = context;
+  const axis = getAxis(context);
+  const movement = getWheelMovement(context, event);
+
+  // Vertical sliders and horizontal wheels already scroll natively
+  if (axis.vertical || !movement.fromVertical || movement.delta === 0) return;
+
+  const position = getScrollPosition(context);
+  const maxScroll = track[axis.scrollSize] - track[axis.clientSize];
+
+  if ((movement.delta < 0 && position <= 1) || (movement.delta > 0 && position >= maxScroll - 1)) {
+    return;
+  }
+
+  event.preventDefault();
+
+  track.style.scrollBehavior = 'auto';
+  setScrollPosition(context, position + movement.delta);
+  track.style.scrollBehavior = 'smooth';
+}
+
+/**
+ * Turn each wheel gesture into a single next() or prev(), handing the wheel
+ * back to the page when a new gesture starts at the first or last slide.
+ * Looping sliders only page with horizontal gestures, leaving the vertical
+ * wheel to the page
+ *
+ * @param {Object} context - Slider instance context
+ * @param {WheelEvent} event - The wheel event
+ * @returns {void}
+ */
+export function handlePageWheel(context, event) {
+  const { delta, fromVertical } = getWheelMovement(context, event);
+  let gesture = context.wheelGesture;
+
+  if (!gesture) {
+    if (delta === 0) return;
+
+    if (isLooping(context)) {
+      if (fromVertical) return;
+    } else {
+      const atStart = context.currentSlide <= 0;
+      const atEnd = context.currentSlide >= getLastSlideIndex(context);
+      if ((delta < 0 && atStart) || (delta > 0 && atEnd)) return;
+    }
+
+    gesture = context.wheelGesture = { distance: 0, paged: false };
+  }
+
+  // The rest of the gesture, including trackpad inertia, belongs to the slider
+  event.preventDefault();
+
+  clearTimeout(context.wheelTimeout);
+  context.wheelTimeout = setTimeout(() => {
+    context.wheelGesture = null;
+  }, GESTURE_GAP);
+
+  if (gesture.paged) return;
+
+  gesture.distance += delta;
+
+  if (Math.abs(gesture.distance) >= PAGE_THRESHOLD) {
+    gesture.paged = true;
+    if (gesture.distance > 0) {
+      next(context);
+    } else {
+      prev(context);
+    }
+  }
+}
+
+/**
+ * Check whether the slider wraps around, so it has no end to hand the wheel
+ * back at
+ *
+ * @param {Object} context - Slider instance context
+ * @returns {boolean}
+ */
+function isLooping(context) {
+  return !!(context.currentOptions.infinite || context.currentOptions.bounceBack);
+}
+
+/**
+ * Wheel plugin, registered by default with NativeScrollSlider but not
+ * NativeScrollSliderCore
+ */
+export const wheelPlugin = {
+  name: 'wheel',
+
+  /**
+   * Listen for wheel events
+   *
+   * @param {Object} context - Slider instance context
+   * @param {Object} detail - Hook details
+   * @returns {void}
+   */
+  afterLayout(context, detail) {
+    if (detail.initial) {
+      setupWheel(context);
+    }
+  },
+
+  /**
+   * Forget the gesture in progress
+   *
+   * @param {Object} context - Slider instance context
+   * @returns {void}
+   */
+  onDestroy(context) {
+    clearTimeout(context.wheelTimeout);
+  }
+};
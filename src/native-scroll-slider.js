@@ -0,0 +1,74 @@
+/**
+ * NativeScrollSlider
+ *
+ * A simple slider that leverages native overflow scroll behavior.
+ *
+ * @author Jo Murgel
+ * @version 0.0.2
+ * @license MIT
+ * @copyright 2024 Jo Murgel
+ * @see https://github.com/jomurgel/native-scroll-slider
+ * @see https://www.npmjs.com/package/@jomurgel/native-scroll-slider
+ */
+
+import NativeScrollSliderCore from './core.js';
+import * as autoplay from './modules/autoplay.js';
+import { lazyLoadPlugin } from './modules/lazy-load.js';
+import { dragPlugin } from './modules/drag.js';
+import { wheelPlugin } from './modules/wheel.js';
+
+class NativeScrollSlider extends NativeScrollSliderCore {
+
+  /**
+   * Start autoplay.
+   *
+   * @returns {void}
+   */
+  play() {
+    autoplay.play(this);
+  }
+
+  /**
+   * Stop autoplay until play() is called.
+   *
+   * @returns {void}
+   */
+  pause() {
+    autoplay.pause(this);
+  }
+
+  /**
+   * Whether autoplay is on. It may still be held while the slider is
+   * hovered, focused, scrolling, hidden or out of view.
+   *
+   * @returns {boolean}
+   */
+  isPlaying() {
+    return autoplay.isPlaying(this);
+  }
+
+  /**
+   * Pause the autoplay.
+   *
+   * @deprecated Use pause() instead.
+   * @returns {void}
+   */
+  pauseAutoplay() {
+    this.pause();
+  }
+
+  /**
+   * Resume the autoplay.
+   *
+   * @deprecated Use play() instead.
+   * @returns {void}
+   */
+  resumeAutoplay() {
+    this.play();
+  }
+}
+
+// Plugins applied to every slider, starting with the built-in ones
+NativeScrollSlider.plugins = [autoplay.autoplayPlugin, lazyLoadPlugin, dragPlugin, wheelPlugin];
+
+export default NativeScrollSlider;
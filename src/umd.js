@@ -0,0 +1,25 @@
+/**
+ * NativeScrollSlider
+ *
+ * UMD entry for the CDN build, exposing the slider class as the
+ * `NativeScrollSlider` global. Sliders declared with `data-slider-config`
+ * are created once the DOM is ready, unless the script tag has
+ * `data-slider-auto-init="false"`.
+ *
+ * @license MIT
+ * @see https://github.com/jomurgel/native-scroll-slider
+ */
+
+import NativeScrollSlider from './native-scroll-slider.js';
+import { isAutoInitDisabled } from './modules/auto-init.js';
+
+// currentScript is only set while the script first runs
+if (typeof document !== 'undefined' && !isAutoInitDisabled(document.currentScript)) {
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => NativeScrollSlider.autoInit());
+  } else {
+    NativeScrollSlider.autoInit();
+  }
+}
+
+export default NativeScrollSlider;
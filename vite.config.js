@@ -19,32 +19,46 @@ export default defineConfig(({ mode }) => {
     };
   }
 
-  // Library build for npm
+  // UMD build for CDN, exposing the class as the NativeScrollSlider global
+  if (mode === 'umd') {
+    return {
+      // Config validation is development only
+      define: {
+        'process.env.NODE_ENV': JSON.stringify('production')
+      },
+      build: {
+        outDir: 'dist',
+        emptyOutDir: false,
+        lib: {
+          entry: 'src/umd.js',
+          name: 'NativeScrollSlider',
+          formats: ['umd'],
+          fileName: () => 'native-scroll-slider.min.js'
+        },
+        minify: true,
+        sourcemap: true
+      }
+    };
+  }
+
+  // Library build for npm. Modules are kept as separate files so bundlers
+  // can drop the ones an application doesn't import.
   return {
     build: {
       outDir: 'dist',
       emptyOutDir: true,
       lib: {
         entry: 'src/index.js',
-        name: 'NativeScrollSlider',
-        formats: ['es', 'umd']
+        formats: ['es']
       },
       minify: true,
       sourcemap: true,
       rollupOptions: {
-        output: [
-          // ES Module build for imports
-          {
-            format: 'es',
-            entryFileNames: 'index.esm.js'
-          },
-          // UMD build for CDN
-          {
-            format: 'umd',
-            name: 'NativeScrollSlider',
-            entryFileNames: 'native-scroll-slider.min.js'
-          }
-        ]
+        output: {
+          preserveModules: true,
+          preserveModulesRoot: 'src',
+          entryFileNames: (chunk) => (chunk.name === 'index' ? 'index.esm.js' : '[name].js')
+        }
       }
     }
   };
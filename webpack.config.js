@@ -5,7 +5,7 @@ module.exports = (env, argv) => {
   const isProduction = argv.mode === 'production';
 
   return {
-    entry: './src/index.js',
+    entry: './src/umd.js',
     output: {
       path: path.resolve(__dirname, 'dist'),
       filename: 'index.js',